@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// Computes the HEMI from local CSV/JSON series files with the same pipeline as the dashboard.
+//
+//   hemi public/fixtures
+//   hemi ./data --format json --method zscore --lookback 3y --as-of 2025-06-30
+//   hemi --series vix=./vix.csv --series sp500=./spx.json ./data
+//
+// A directory is searched for `<id>.csv|json` or `<seriesId>.csv|json` per indicator
+// (e.g. yieldCurve.csv or T10Y2Y.csv); `--series id=path` picks a file for one indicator.
+// Indicators without a file are left out and the HEMI is computed from the rest, with their
+// weights rescaled, as the dashboard does when a source fails.
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+    INDICATORS,
+    SCORING_METHODS,
+    LOOKBACKS,
+    FREQUENCIES,
+    DEFAULT_SCORING,
+    DEFAULT_FREQUENCY,
+    getDefaultWeights,
+    normalizeWeights,
+    parseSeriesFile,
+    computeHemi,
+    getSeriesHealth,
+    HEALTH_STATUSES,
+    formatValue,
+    isValidDate,
+} from '../src/core/index.js';
+
+const USAGE = `Usage: hemi [directory] [options]
+
+Options:
+  --series <id=path>     series file for one indicator (repeatable)
+  --format <table|json>  output format (default: table)
+  --method <id>          scoring method: ${Object.keys(SCORING_METHODS).join(', ')} (default: ${DEFAULT_SCORING.method})
+  --lookback <id>        lookback window: ${LOOKBACKS.map(l => l.id).join(', ')} (default: ${DEFAULT_SCORING.lookback})
+  --frequency <id>       calendar: ${Object.keys(FREQUENCIES).join(', ')} (default: ${DEFAULT_FREQUENCY})
+  --as-of <YYYY-MM-DD>   only use data published by this date
+  --weights <id=w,...>   override weights (normalized to sum to 1)
+  -h, --help             show this help
+
+Indicators: ${INDICATORS.map(ind => ind.id).join(', ')}`;
+
+const parseAssignments = (entries, label) => Object.fromEntries(entries.map(entry => {
+    const [id, ...rest] = entry.split('=');
+    if (!INDICATORS.some(ind => ind.id === id) || rest.length === 0) throw new Error(`Invalid ${label} "${entry}"; expected <indicator id>=<value>.`);
+    return [id, rest.join('=')];
+}));
+
+// Weights must be plain non-negative numbers; "abc" or "-1" is a typo, not a zero weight.
+const parseWeights = (assignments) => Object.fromEntries(Object.entries(assignments).map(([id, raw]) => {
+    const weight = raw.trim() === '' ? NaN : Number(raw);
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`Invalid --weights value "${raw}" for ${id}; expected a non-negative number.`);
+    return [id, weight];
+}));
+
+const findSeriesFile = async (directory, indicator) => {
+    const files = await readdir(directory);
+    const names = [indicator.id, indicator.seriesId].flatMap(name => [`${name}.csv`, `${name}.json`]);
+    const match = names.find(name => files.includes(name));
+    return match ? path.join(directory, match) : null;
+};
+
+const loadSeries = async (directory, overrides) => {
+    const entries = await Promise.all(INDICATORS.map(async ind => {
+        const file = overrides[ind.id] || (directory && await findSeriesFile(directory, ind));
+        if (!file) {
+            console.error(`hemi: no series file for ${ind.id} (${ind.label}); leaving it out.`);
+            return null;
+        }
+        return [ind.id, parseSeriesFile(await readFile(file, 'utf8'), file, ind)];
+    }));
+    if (entries.every(entry => !entry)) throw new Error('No series files found.');
+    return Object.fromEntries(entries.filter(Boolean));
+};
+
+const toReport = (result, health, settings) => ({
+    asOf: result.history.length ? result.history[result.history.length - 1].date : null,
+    settings,
+    hemi: { score: result.score, status: result.status.text, partial: result.partial, components: result.available.length },
+    components: Object.fromEntries(INDICATORS.map(ind => {
+        const c = result.components[ind.id];
+        return [ind.id, {
+            label: ind.label,
+            value: c ? c.currentValue : null,
+            change: c ? c.recentChange : null,
+            score: c ? c.score : null,
+            weight: result.weights[ind.id],
+            observationDate: c ? c.observationDate : null,
+            releaseDate: c ? c.releaseDate : null,
+            health: health[ind.id],
+        }];
+    })),
+    summary: result.summary,
+});
+
+const formatTable = (report) => {
+    const rows = INDICATORS.map(ind => {
+        const c = report.components[ind.id];
+        const health = HEALTH_STATUSES[c.health.status].label;
+        if (c.score === null) return [ind.shortLabel, '-', '-', '-', '0%', '-', health];
+        return [ind.shortLabel, formatValue(c.value, ind.format), formatValue(c.change, ind.format), c.score.toFixed(1), `${(c.weight * 100).toFixed(0)}%`, c.observationDate, health];
+    });
+    const header = ['Component', 'Value', 'Change', 'Score', 'Weight', 'Observed', 'Health'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+    const line = (cells) => cells.map((cell, i) => (i === 0 || i >= 5 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join('  ').trimEnd();
+    const label = (ids) => ids.map(id => INDICATORS.find(ind => ind.id === id).shortLabel).join(', ') || 'none';
+    const problems = INDICATORS.filter(ind => report.components[ind.id].health.status !== 'ok')
+        .map(ind => `  ${ind.shortLabel}: ${report.components[ind.id].health.message}`);
+    return [
+        `HEMI ${report.hemi.score.toFixed(1)}  ${report.hemi.status}  (as of ${report.asOf})`,
+        ...(report.hemi.partial ? [`Partial score - ${report.hemi.components} of ${INDICATORS.length} components; weights rescaled over the rest.`] : []),
+        '',
+        line(header),
+        ...rows.map(line),
+        '',
+        `Confirming:    ${label(report.summary.confirming)}`,
+        `Contradicting: ${label(report.summary.contradicting)}`,
+        ...(problems.length ? ['', 'Data health:', ...problems] : []),
+    ].join('\n');
+};
+
+const main = async () => {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            series: { type: 'string', multiple: true, default: [] },
+            format: { type: 'string', default: 'table' },
+            method: { type: 'string', default: DEFAULT_SCORING.method },
+            lookback: { type: 'string', default: DEFAULT_SCORING.lookback },
+            frequency: { type: 'string', default: DEFAULT_FREQUENCY },
+            'as-of': { type: 'string' },
+            weights: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!['table', 'json'].includes(values.format)) throw new Error(`Unknown format "${values.format}".`);
+    if (!SCORING_METHODS[values.method]) throw new Error(`Unknown scoring method "${values.method}".`);
+    if (!LOOKBACKS.some(l => l.id === values.lookback)) throw new Error(`Unknown lookback "${values.lookback}".`);
+    if (!FREQUENCIES[values.frequency]) throw new Error(`Unknown frequency "${values.frequency}".`);
+    const asOfDate = values['as-of'] || null;
+    if (asOfDate && !isValidDate(asOfDate)) throw new Error(`Invalid --as-of date "${asOfDate}"; expected YYYY-MM-DD.`);
+
+    const overrides = parseAssignments(values.series, '--series');
+    const weightOverrides = values.weights ? parseAssignments(values.weights.split(','), '--weights') : {};
+    const weights = normalizeWeights({ ...getDefaultWeights(), ...parseWeights(weightOverrides) });
+    const seriesById = await loadSeries(positionals[0], overrides);
+
+    const scoring = { method: values.method, lookback: values.lookback };
+    const result = computeHemi(seriesById, { scoring, frequency: values.frequency, asOfDate, weights });
+    const failures = Object.fromEntries(INDICATORS.filter(ind => !seriesById[ind.id]).map(ind => [ind.id, 'No series file.']));
+    const health = getSeriesHealth(seriesById, { asOfDate, failures });
+    const report = toReport(result, health, { ...scoring, frequency: values.frequency, asOfDate });
+    console.log(values.format === 'json' ? JSON.stringify(report, null, 2) : formatTable(report));
+};
+
+main().catch(err => {
+    console.error(`hemi: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -1,191 +1,194 @@
 import React from 'react';
-import { AreaChart, Area, Tooltip as RechartsTooltip, ResponsiveContainer, RadialBarChart, RadialBar } from 'recharts';
-import { HelpCircle, TrendingUp, TrendingDown, Minus, Wifi, WifiOff } from 'lucide-react';
-
-// Shadcn UI Component Stubs (as we can't import them directly)
-const Card = ({ children, className = '' }) => <div className={`bg-gray-800 border border-gray-700 rounded-lg shadow-lg p-6 ${className}`}>{children}</div>;
-const CardHeader = ({ children, className = '' }) => <div className={`mb-4 ${className}`}>{children}</div>;
-const CardTitle = ({ children, className = '' }) => <h3 className={`text-lg font-semibold text-gray-200 ${className}`}>{children}</h3>;
-const CardContent = ({ children, className = '' }) => <div className={className}>{children}</div>;
-const TooltipProvider = ({ children }) => <div>{children}</div>;
-const Tooltip = ({ children, content }) => (
-  <div className="relative group">
-    {children}
-    <div className="absolute bottom-full mb-2 hidden group-hover:block w-64 bg-gray-900 text-white text-xs rounded py-2 px-3 border border-gray-700 z-10">
-      {content}
-    </div>
-  </div>
-);
-const TooltipTrigger = ({ children }) => <div>{children}</div>;
-const Badge = ({ children, className = '' }) => <span className={`px-2 py-1 text-xs font-medium rounded-full ${className}`}>{children}</span>;
-
-// --- Mock Data ---
-const createDateSeries = (days) => {
-    const dates = [];
-    for (let i = days - 1; i >= 0; i--) {
-        const d = new Date();
-        d.setDate(d.getDate() - i);
-        dates.push(d.toISOString().split('T')[0]);
-    }
-    return dates;
-};
-const dates = createDateSeries(90);
-const mockApiData = {
-    yieldCurve: { observations: dates.map((date, i) => ({ date, value: (0.3 + Math.sin(i / 20) * 0.15 + (Math.random() - 0.5) * 0.05).toFixed(2) })) },
-    joblessClaims: { observations: dates.map((date, i) => ({ date, value: (230000 + Math.cos(i / 15) * 10000 + (Math.random() - 0.5) * 5000).toFixed(0) })) },
-    vix: { observations: dates.map((date, i) => ({ date, value: (18 - Math.sin(i / 25) * 3 + (Math.random() - 0.5) * 2).toFixed(2) })) },
-    sp500: { historical: dates.map((date, i) => ({ date, close: (5400 + Math.sin(i / 10) * 80 + i * 1.5 + (Math.random() - 0.5) * 50).toFixed(2) })) },
-    wtiOil: { historical: dates.map((date, i) => ({ date, close: (82 + Math.cos(i / 30) * 5 + (Math.random() - 0.5) * 3).toFixed(2) })) }
-};
-mockApiData.yieldCurve.observations[89].value = "0.45";
-mockApiData.yieldCurve.observations[88].value = "0.43";
-mockApiData.joblessClaims.observations[89].value = "242000";
-mockApiData.joblessClaims.observations[88].value = "233000";
-mockApiData.vix.observations[89].value = "19.8";
-mockApiData.vix.observations[88].value = "18.3";
-mockApiData.sp500.historical[89].close = "5510.40";
-mockApiData.sp500.historical[88].close = "5525.60";
-mockApiData.wtiOil.historical[89].close = "85.50";
-mockApiData.wtiOil.historical[88].close = "84.75";
-
-// API Keys
-// API Keys accessed from environment variables
-const FRED_API_KEY = process.env.REACT_APP_FRED_API_KEY;
-const FMP_API_KEY = process.env.REACT_APP_FMP_API_KEY;
+import { AreaChart, Area, Tooltip as RechartsTooltip, ResponsiveContainer, RadialBarChart, RadialBar, ComposedChart, Line, XAxis, YAxis, CartesianGrid, ReferenceArea, ReferenceDot } from 'recharts';
+import { HelpCircle, TrendingUp, TrendingDown, Minus, Wifi, WifiOff, RefreshCw, History, ChevronRight, AlertTriangle } from 'lucide-react';
+import { INDICATORS, getDefaultWeights, formatValue as formatIndicatorValue } from './core/indicators';
+import { HEMI_REGIMES, getHemiStatus, calculateHemiScore, getRegimeEpisodes, findHistoryPoint, scoreComponents, combineComponents } from './core/hemi';
+import { PROVIDERS } from './providers';
+import { readCachedSeries, loadIndicatorSeries } from './seriesCache';
+import { normalizeWeights, renormalizeWeights } from './core/weighting';
+import { HEALTH_STATUSES, getSeriesHealth } from './core/health';
+import { readViewFromUrl, getPermalink } from './permalink';
+import { useHashRoute, getIndicatorHref, DASHBOARD_HREF } from './routing';
+import { COMMENTARY, STANCES, getCommentaryAsOf } from './commentary';
+import { getAlertReadings, checkAlerts, loadAlertLog, clearAlertLog, sendAlertNotifications } from './alerts';
+import { SCORING_METHODS, LOOKBACKS, DEFAULT_SCORING, MAX_LOOKBACK_YEARS, getScoringMethod, getLookback } from './core/scoring';
+import { FREQUENCIES, DEFAULT_FREQUENCY, getEarliestAsOfDate } from './core/resampling';
+import { toDateString, formatDate } from './core/dates';
+import { Card, CardHeader, CardTitle, CardContent, TooltipProvider, Tooltip, TooltipTrigger, Badge } from './components/ui';
+import WeightEditor from './components/WeightEditor';
+import DataSourcePanel from './components/DataSourcePanel';
+import BacktestPanel from './components/BacktestPanel';
+import AttributionWaterfall from './components/AttributionWaterfall';
+import AlertsPanel from './components/AlertsPanel';
+import ExportControls from './components/ExportControls';
+import ChartExportButtons from './components/ChartExportButtons';
+import IndicatorDetail from './components/IndicatorDetail';
+import ExpertCommentary from './components/ExpertCommentary';
+
+const DEFAULT_WEIGHTS = getDefaultWeights();
 
 // Main App Component
 const App = () => {
-    const [indicatorData, setIndicatorData] = React.useState(null);
-    const [hemiScore, setHemiScore] = React.useState(0);
+    // A shared link (see permalink.js) sets the starting view.
+    const [initialView] = React.useState(readViewFromUrl);
+    const [seriesById, setSeriesById] = React.useState(null);
+    // Error messages of indicators whose latest download failed, by indicator id.
+    const [loadFailures, setLoadFailures] = React.useState({});
+    const [scoring, setScoring] = React.useState(initialView.scoring || DEFAULT_SCORING);
+    const [frequency, setFrequency] = React.useState(initialView.frequency || DEFAULT_FREQUENCY);
+    const [weights, setWeights] = React.useState(initialView.weights || DEFAULT_WEIGHTS);
     const [loading, setLoading] = React.useState(true);
     const [error, setError] = React.useState(null);
-    const [useLiveData, setUseLiveData] = React.useState(false);
-
-    const processData = React.useCallback((apiData) => {
-        const [yieldData, joblessData, vixData, sp500Data, oilData] = apiData;
-
-        const processFredData = (seriesData, isInverted = false) => {
-            if (!seriesData || !seriesData.observations) throw new Error("Invalid FRED data structure received.");
-            const validObservations = seriesData.observations.filter(d => d.value !== '.').map(d => ({ date: d.date, value: parseFloat(d.value) }));
-            if (validObservations.length < 2) return { currentValue: 0, recentChange: 0, score: 0, history: validObservations };
-            
-            const latest = validObservations[validObservations.length - 1];
-            const previous = validObservations[validObservations.length - 2];
-            const values = validObservations.map(d => d.value);
-            const min = Math.min(...values);
-            const max = Math.max(...values);
-            
-            let percentile = max === min ? 0.5 : (latest.value - min) / (max - min);
-            let score = isInverted ? (1 - percentile) * 100 : percentile * 100;
-
-            return { currentValue: latest.value, recentChange: latest.value - previous.value, score, history: validObservations };
-        };
-        
-        const processFmpData = (seriesData, isInverted = false) => {
-            if (!seriesData || !seriesData.historical || seriesData.historical.length < 2) throw new Error("Invalid FMP data structure received.");
-            const history = seriesData.historical.slice().reverse().map(d => ({ date: d.date, value: d.close }));
-            
-            const latest = history[history.length - 1];
-            const previous = history[history.length - 2];
-            const values = history.map(d => d.value);
-            const min = Math.min(...values);
-            const max = Math.max(...values);
-
-            let percentile = max === min ? 0.5 : (latest.value - min) / (max - min);
-            let score = isInverted ? (1 - percentile) * 100 : percentile * 100;
-
-            return { currentValue: latest.value, recentChange: latest.value - previous.value, score, history };
-        };
-
-        const processedData = {
-            yieldCurve: processFredData(yieldData),
-            joblessClaims: processFredData(joblessData, true),
-            sp500: processFmpData(sp500Data),
-            vix: processFmpData(vixData, true),
-            wtiOil: processFmpData(oilData),
-        };
-        
-        setIndicatorData(processedData);
-
-        const weights = { yieldCurve: 0.30, joblessClaims: 0.25, sp500: 0.20, vix: 0.15, wtiOil: 0.10 };
-        const calculatedHemiScore = 
-            processedData.yieldCurve.score * weights.yieldCurve +
-            processedData.joblessClaims.score * weights.joblessClaims +
-            processedData.sp500.score * weights.sp500 +
-            processedData.vix.score * weights.vix +
-            processedData.wtiOil.score * weights.wtiOil;
-
-        setHemiScore(calculatedHemiScore);
-    }, []);
+    const [useLiveData, setUseLiveData] = React.useState(initialView.useLiveData || false);
+    const [uploads, setUploads] = React.useState({});
+    const [dataStatus, setDataStatus] = React.useState({ state: initialView.useLiveData ? 'live' : 'sample' });
+    const [asOfDate, setAsOfDate] = React.useState(initialView.asOfDate || null);
+    const [useVintageData, setUseVintageData] = React.useState(initialView.useVintageData || false);
+    const [alertLog, setAlertLog] = React.useState(loadAlertLog);
+    const [stanceFilter, setStanceFilter] = React.useState('all');
+    const lastAlertCheck = React.useRef(null);
+    // Vintage (ALFRED) data is only requested for a past as-of date in Live mode.
+    const vintageDate = useLiveData && useVintageData && asOfDate ? asOfDate : null;
 
     React.useEffect(() => {
+        let cancelled = false;
+
         const loadData = async () => {
             setLoading(true);
             setError(null);
 
-            try {
-                if (useLiveData) {
-                    const endDate = new Date();
-                    const startDate = new Date();
-                    startDate.setFullYear(endDate.getFullYear() - 5);
-                    const formattedEndDate = endDate.toISOString().split('T')[0];
-                    const formattedStartDate = startDate.toISOString().split('T')[0];
-
-                    const corsProxy = 'https://api.allorigins.win/raw?url=';
-
-                    const fredBaseUrl = `https://api.stlouisfed.org/fred/series/observations?api_key=${FRED_API_KEY}&file_type=json`;
-                    const fmpBaseUrl = `https://financialmodelingprep.com/api/v3`;
-
-                    const urls = {
-                        yieldCurve: `${corsProxy}${encodeURIComponent(`${fredBaseUrl}&series_id=T10Y2Y&observation_start=${formattedStartDate}&observation_end=${formattedEndDate}`)}`,
-                        joblessClaims: `${corsProxy}${encodeURIComponent(`${fredBaseUrl}&series_id=ICSA&observation_start=${formattedStartDate}&observation_end=${formattedEndDate}`)}`,
-                        vix: `${corsProxy}${encodeURIComponent(`${fredBaseUrl}&series_id=VIXCLS&observation_start=${formattedStartDate}&observation_end=${formattedEndDate}`)}`,
-                        sp500: `${corsProxy}${encodeURIComponent(`${fmpBaseUrl}/historical-price-full/%5EGSPC?from=${formattedStartDate}&to=${formattedEndDate}&apikey=${FMP_API_KEY}`)}`,
-                        wtiOil: `${corsProxy}${encodeURIComponent(`${fmpBaseUrl}/historical-price-full/CLUSD?from=${formattedStartDate}&to=${formattedEndDate}&apikey=${FMP_API_KEY}`)}`,
-                    };
-
-                    const responses = await Promise.all(Object.values(urls).map(url => fetch(url)));
-                    
-                    for (const res of responses) {
-                        if (!res.ok) {
-                            if (res.status === 401 || res.status === 403) {
-                                throw new Error(`API Key Invalid or Unauthorized (Status: ${res.status}). Please verify your API keys.`);
-                            }
-                            const errorText = await res.text();
-                            throw new Error(`API request failed with status ${res.status}: ${errorText}`);
-                        }
+            const endDate = vintageDate ? new Date(vintageDate) : new Date();
+            const startDate = new Date(endDate);
+            startDate.setFullYear(endDate.getFullYear() - MAX_LOOKBACK_YEARS);
+            const options = { useLiveData, uploads, startDate, endDate, vintageDate };
+
+            // Serve the cached copy straight away and revalidate in the background.
+            const cached = useLiveData ? await readCachedSeries(INDICATORS, options) : {};
+            const cachedDates = Object.values(cached).map(entry => entry.fetchedAt).sort();
+            const cachedAt = cachedDates[0] || null;
+            const hasFullCache = useLiveData && INDICATORS.every(ind => cached[ind.id] || uploads[ind.id]);
+            if (cancelled) return;
+
+            // Every indicator loads on its own, so a failing source only affects its own component.
+            // A failed download falls back to the cached copy when there is one.
+            const loadEach = async (load) => {
+                const results = await Promise.allSettled(INDICATORS.map(load));
+                const series = {};
+                const failures = {};
+                INDICATORS.forEach((ind, i) => {
+                    const result = results[i];
+                    if (result.status === 'fulfilled') {
+                        series[ind.id] = result.value.series;
+                        return;
                     }
-                    
-                    const data = await Promise.all(responses.map(res => res.json()));
-                    processData(data);
-                } else {
-                    // Use mock data
-                    const data = [mockApiData.yieldCurve, mockApiData.joblessClaims, mockApiData.vix, mockApiData.sp500, mockApiData.wtiOil];
-                    processData(data);
+                    console.error(`Could not load ${ind.label}:`, result.reason);
+                    failures[ind.id] = result.reason;
+                    if (cached[ind.id]) series[ind.id] = cached[ind.id].series;
+                });
+                return { series, failures };
+            };
+
+            try {
+                if (hasFullCache && cachedAt) {
+                    const { series } = await loadEach(ind => cached[ind.id] || loadIndicatorSeries(ind, options));
+                    if (cancelled) return;
+                    setSeriesById(series);
+                    setLoadFailures({});
+                    setDataStatus({ state: 'refreshing', cachedAt });
+                    setLoading(false);
                 }
+
+                const { series, failures } = await loadEach(ind => loadIndicatorSeries(ind, options, cached[ind.id]));
+                if (cancelled) return;
+                const errors = Object.values(failures);
+                if (errors.length === INDICATORS.length) throw errors[0];
+                setSeriesById(series);
+                setLoadFailures(Object.fromEntries(Object.entries(failures).map(([id, err]) => [id, err.message])));
+                setDataStatus({ state: useLiveData ? 'live' : 'sample' });
             } catch (err) {
+                if (cancelled) return;
                 console.error("Data loading error:", err);
+                const isNetworkError = (err instanceof TypeError && err.message.includes('Failed to fetch')) || navigator.onLine === false;
+                if (hasFullCache && cachedAt) {
+                    setDataStatus({ state: isNetworkError ? 'offline' : 'stale', cachedAt, message: err.message });
+                    return;
+                }
                 let diagnosticMessage = err.message;
-                if (err instanceof TypeError && err.message.includes('Failed to fetch')) {
+                if (isNetworkError) {
                     diagnosticMessage = "A network error occurred. This could be due to a CORS policy, a firewall, or an internet connectivity issue. Ensure you are connected to the internet and that no browser extensions are blocking the request.";
                 }
-                setError(`Failed to load live data. ${diagnosticMessage}`);
+                setError(`Failed to load ${useLiveData ? 'live ' : ''}data. ${diagnosticMessage}`);
             } finally {
-                setLoading(false);
+                if (!cancelled) setLoading(false);
             }
         };
 
         loadData();
-    }, [useLiveData, processData]);
+        return () => { cancelled = true; };
+    }, [useLiveData, uploads, vintageDate]);
 
-    const getHemiStatus = (score) => {
-        if (score < 25) return { text: "High Recession Risk", color: "text-red-400" };
-        if (score < 45) return { text: "Economic Slowdown", color: "text-yellow-400" };
-        if (score < 65) return { text: "Moderate Expansion", color: "text-cyan-400" };
-        return { text: "Strong Expansion", color: "text-green-400" };
-    };
+    const asOfRange = React.useMemo(
+        () => ({ min: seriesById ? getEarliestAsOfDate(INDICATORS, seriesById) : null, max: toDateString(new Date()) }),
+        [seriesById]
+    );
+    // A linked as-of date from before the data starts moves to the earliest usable one once it has loaded.
+    React.useEffect(() => {
+        if (asOfDate) setAsOfDate(clampAsOfDate(asOfDate, asOfRange));
+    }, [asOfDate, asOfRange]);
+    // Scoring and weighting go through the same pipeline as the command-line tool (core/hemi.js).
+    // They are separate steps so moving a weight slider doesn't re-score every component.
+    const { indicatorData, processingError } = React.useMemo(() => {
+        if (!seriesById) return { indicatorData: null, processingError: null };
+        try {
+            return { indicatorData: scoreComponents(seriesById, { scoring, frequency, asOfDate }), processingError: null };
+        } catch (err) {
+            return { indicatorData: null, processingError: asOfDate ? `Not enough data as of ${formatDate(asOfDate)}. ${err.message}` : err.message };
+        }
+    }, [seriesById, scoring, frequency, asOfDate]);
+    const composite = React.useMemo(
+        () => (indicatorData ? combineComponents(indicatorData, weights) : { scores: {}, score: 0, status: getHemiStatus(0), history: [], summary: null, weights, available: [], partial: false }),
+        [indicatorData, weights]
+    );
+    const { score: hemiScore, status: hemiStatus, history: hemiHistory } = composite;
+    const defaultHemiScore = calculateHemiScore(composite.scores, renormalizeWeights(DEFAULT_WEIGHTS, composite.available));
+    const health = React.useMemo(
+        () => (seriesById ? getSeriesHealth(seriesById, { asOfDate, failures: loadFailures }) : {}),
+        [seriesById, asOfDate, loadFailures]
+    );
 
-    const hemiStatus = getHemiStatus(hemiScore);
+    // Keep the address bar in sync so it can be bookmarked or copied as-is.
+    const view = React.useMemo(
+        () => ({ useLiveData, asOfDate, useVintageData, scoring, frequency, weights }),
+        [useLiveData, asOfDate, useVintageData, scoring, frequency, weights]
+    );
+    const permalink = getPermalink(view, DEFAULT_WEIGHTS);
+    React.useEffect(() => {
+        if (permalink !== window.location.href) window.history.replaceState(null, '', permalink);
+    }, [permalink]);
+    const gaugeRef = React.useRef(null);
+    // Only commentary published by the as-of date, so a past view shows the calls made up to then.
+    const commentaryDate = asOfDate || toDateString(new Date());
+    const commentary = React.useMemo(() => {
+        const published = getCommentaryAsOf(COMMENTARY, commentaryDate);
+        return stanceFilter === 'all' ? published : published.filter(entry => entry.stance === stanceFilter);
+    }, [commentaryDate, stanceFilter]);
+    const route = useHashRoute();
+    const detailIndicator = route.name === 'indicator' ? INDICATORS.find(ind => ind.id === route.id) : null;
+
+    // Alert rules run once per live refresh, on the latest data only (not cached or point-in-time
+    // views). Components that failed to load, even with a cached copy standing in, are skipped, and
+    // so are HEMI rules while the composite is missing any of them.
+    React.useEffect(() => {
+        if (dataStatus.state !== 'live' || asOfDate || !indicatorData || lastAlertCheck.current === seriesById) return;
+        lastAlertCheck.current = seriesById;
+        const fresh = Object.fromEntries(Object.entries(indicatorData).filter(([id]) => !loadFailures[id]));
+        const partial = composite.partial || Object.keys(fresh).length < INDICATORS.length;
+        const dataDate = Object.values(fresh).map(d => d.observationDate).sort().pop();
+        const fired = checkAlerts(getAlertReadings(fresh, hemiScore, { partial }), dataDate);
+        if (fired.length === 0) return;
+        setAlertLog(loadAlertLog());
+        sendAlertNotifications(fired);
+    }, [dataStatus.state, asOfDate, indicatorData, loadFailures, composite.partial, seriesById, hemiScore]);
 
     return (
         <div className="bg-gray-900 text-gray-300 min-h-screen font-sans p-4 sm:p-6 lg:p-8">
@@ -195,10 +198,7 @@ const App = () => {
                         <h1 className="text-3xl sm:text-4xl font-bold text-white tracking-tight">High-Frequency Economic Momentum Index (HEMI)</h1>
                     </div>
                     <div className="flex justify-center items-center mt-4 space-x-4">
-                        <span className={`flex items-center text-sm ${useLiveData ? 'text-cyan-400' : 'text-yellow-400'}`}>
-                            {useLiveData ? <Wifi className="h-4 w-4 mr-2"/> : <WifiOff className="h-4 w-4 mr-2"/>}
-                            {useLiveData ? 'Live Data' : 'Sample Data'}
-                        </span>
+                        <DataStatusIndicator status={dataStatus} useLiveData={useLiveData} />
                         <div className="flex items-center space-x-2">
                             <label htmlFor="data-toggle" className="text-sm text-gray-400">Sample</label>
                             <button onClick={() => setUseLiveData(!useLiveData)} id="data-toggle" className={`relative inline-flex items-center h-6 rounded-full w-11 transition-colors ${useLiveData ? 'bg-cyan-600' : 'bg-gray-600'}`}>
@@ -207,6 +207,9 @@ const App = () => {
                              <label htmlFor="data-toggle" className="text-sm text-gray-400">Live</label>
                         </div>
                     </div>
+                    <ScoringControls scoring={scoring} onChange={setScoring} frequency={frequency} onFrequencyChange={setFrequency} />
+                    <AsOfControl asOfDate={asOfDate} onChange={setAsOfDate} range={asOfRange} useLiveData={useLiveData} useVintageData={useVintageData} onVintageChange={setUseVintageData} />
+                    <ExportControls view={view} permalink={permalink} indicatorData={indicatorData} hemiScore={hemiScore} hemiHistory={hemiHistory} hasUploads={Object.keys(uploads).length > 0} />
                 </header>
 
                 <main className="space-y-8">
@@ -228,40 +231,75 @@ const App = () => {
                             </CardContent>
                         </Card>
                     )}
-                    {!loading && !error && indicatorData && (
+                    {!loading && !error && processingError && (
+                        <Card className="bg-yellow-900/30 border-yellow-700">
+                            <CardHeader>
+                                <CardTitle className="text-yellow-300">No Data for Selected Date</CardTitle>
+                            </CardHeader>
+                            <CardContent className="text-yellow-400 text-sm">
+                                {processingError}
+                            </CardContent>
+                        </Card>
+                    )}
+                    {!loading && !error && indicatorData && detailIndicator && (indicatorData[detailIndicator.id] ? (
+                        <IndicatorDetail indicator={detailIndicator} data={indicatorData[detailIndicator.id]} hemiHistory={hemiHistory} weight={composite.weights[detailIndicator.id]} />
+                    ) : (
+                        <Card className="bg-yellow-900/30 border-yellow-700">
+                            <CardHeader>
+                                <CardTitle className="text-yellow-300">No Data for {detailIndicator.label}</CardTitle>
+                            </CardHeader>
+                            <CardContent className="text-yellow-400 text-sm">
+                                {health[detailIndicator.id]?.message} <a href={DASHBOARD_HREF} className="text-cyan-400 hover:text-cyan-300">Back to dashboard</a>
+                            </CardContent>
+                        </Card>
+                    ))}
+                    {!loading && !error && indicatorData && !detailIndicator && (
                         <>
                             <section className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                                 <Card className="lg:col-span-1 flex flex-col items-center justify-center text-center">
-                                    <h2 className="text-xl font-semibold text-white mb-4">Current HEMI Score</h2>
-                                    <HemiGauge score={hemiScore} status={hemiStatus} />
+                                    <h2 className="text-xl font-semibold text-white mb-4">{asOfDate ? `HEMI Score as of ${formatDate(asOfDate)}` : 'Current HEMI Score'}</h2>
+                                    <div ref={gaugeRef} className="w-full">
+                                        <HemiGauge score={hemiScore} status={hemiStatus} />
+                                    </div>
                                     <p className={`text-2xl font-bold mt-4 ${hemiStatus.color}`}>{hemiStatus.text}</p>
+                                    {composite.partial && <PartialScoreWarning available={composite.available} />}
+                                    <ChartExportButtons targetRef={gaugeRef} fileName="hemi-gauge" className="mt-4" />
                                 </Card>
                                 <Card className="lg:col-span-2">
-                                    <EconomicSummary data={indicatorData} score={hemiScore} />
+                                    <EconomicSummary data={indicatorData} score={hemiScore} summary={composite.summary} />
+                                </Card>
+                            </section>
+
+                            <section>
+                                <Card>
+                                    <HemiHistoryChart history={hemiHistory} commentary={commentary} />
+                                </Card>
+                            </section>
+
+                            <section>
+                                <Card>
+                                    <AttributionWaterfall history={hemiHistory} weights={composite.weights} />
                                 </Card>
                             </section>
                             
                             <section>
                                 <h2 className="text-2xl font-semibold text-white mb-6">Core Economic Indicators</h2>
                                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6">
-                                    <IndicatorCard data={indicatorData.yieldCurve} title="Yield Curve (10Y-2Y)" format="percent" tooltipContent="Difference between 10-year and 2-year Treasury yields. A positive curve signals expansion; an inverted curve is a recession predictor." />
-                                    <IndicatorCard data={indicatorData.joblessClaims} title="Initial Jobless Claims" format="number" tooltipContent="New unemployment filings. Rising claims suggest a weakening labor market. Lower is better." />
-                                    <IndicatorCard data={indicatorData.sp500} title="S&P 500 Index" format="currency" tooltipContent="Tracks 500 large U.S. companies. A rising market reflects investor confidence. Higher is better." />
-                                    <IndicatorCard data={indicatorData.vix} title="VIX (Volatility Index)" format="number" tooltipContent="The market's 'fear gauge.' High VIX indicates investor fear. Lower is better." />
-                                    <IndicatorCard data={indicatorData.wtiOil} title="WTI Crude Oil Price" format="currency" tooltipContent="Price of West Texas Intermediate crude oil. Signals demand but also inflation risk." />
+                                    {INDICATORS.map(ind => <IndicatorCard key={ind.id} id={ind.id} data={indicatorData[ind.id]} health={health[ind.id]} title={ind.label} format={ind.format} inverted={ind.inverted} tooltipContent={ind.tooltip} />)}
                                 </div>
                             </section>
 
-                            <section>
-                                <h2 className="text-2xl font-semibold text-white mb-6">Expert Opinions & Forecasts</h2>
-                                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                                    <ExpertOpinionCard name="Dr. Anya Sharma" title="Chief Market Strategist, Global Macro Insights" opinion="Cautiously Optimistic" opinionColor="text-cyan-400" forecast="The HEMI score accurately captures the current 'crosstalk' in the data. While the labor market's softening warrants close attention, it's more of a normalization than a collapse. The positive yield curve is the most important long-term signal, pointing toward continued, albeit slower, growth." />
-                                    <ExpertOpinionCard name="James Chen" title="Portfolio Manager, Penrose Capital" opinion="Bearish / Defensive" opinionColor="text-yellow-400" forecast="I see the dashboard as a flashing yellow light. The VIX is telling you that smart money is hedging, and the jobless claims are the 'canary in the coal mine.' The divergence between the S&P 500 and the real economy is unsustainable. We are positioned for a market correction." />
-                                    <ExpertOpinionCard name="Dr. Kenji Tanaka" title="Economist, Center for Economic Policy" opinion="Neutral / Data-Dependent" opinionColor="text-gray-400" forecast="The HEMI score is in an ambiguous zone. The key variable is WTI Crude Oil. If energy prices continue to rise, it could reignite inflation and force central banks to maintain a restrictive policy, tipping the scales towards a slowdown. The next few weeks of data will be critical." />
-                                </div>
-                            </section>
-                            
-                            <Methodology />
+                            <WeightEditor weights={weights} defaultWeights={DEFAULT_WEIGHTS} onChange={(next) => setWeights(normalizeWeights(next))} score={hemiScore} defaultScore={defaultHemiScore} />
+
+                            <BacktestPanel useLiveData={useLiveData} uploads={uploads} scoring={scoring} weights={weights} />
+
+                            <AlertsPanel log={alertLog} onClearLog={() => setAlertLog(clearAlertLog())} useLiveData={useLiveData} />
+
+                            <ExpertCommentary entries={commentary} stanceFilter={stanceFilter} onStanceFilterChange={setStanceFilter} referenceDate={commentaryDate} currentScore={hemiScore} />
+
+                            <DataSourcePanel useLiveData={useLiveData} uploads={uploads} onUploadsChange={setUploads} />
+
+                            <Methodology weights={weights} scoring={scoring} frequency={frequency} />
                         </>
                     )}
                 </main>
@@ -272,6 +310,91 @@ const App = () => {
 
 // --- Child Components ---
 
+// The as-of date within `range`; today or later (or no date) means the latest view.
+const clampAsOfDate = (value, range) => {
+    if (!value || value >= range.max) return null;
+    return range.min && value < range.min ? range.min : value;
+};
+
+const AsOfControl = ({ asOfDate, onChange, range, useLiveData, useVintageData, onVintageChange }) => {
+    const handleChange = (value) => onChange(clampAsOfDate(value, range));
+
+    return (
+        <div className="flex flex-wrap justify-center items-center mt-4 gap-4 text-sm">
+            <div className="flex items-center space-x-2">
+                <History className={`h-4 w-4 ${asOfDate ? 'text-orange-400' : 'text-gray-400'}`} />
+                <label htmlFor="as-of-date" className="text-gray-400">As of</label>
+                <input id="as-of-date" type="date" value={asOfDate || range.max} min={range.min || undefined} max={range.max} onChange={(e) => handleChange(e.target.value)} className="bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-gray-200" />
+                {asOfDate && <button onClick={() => onChange(null)} className="text-cyan-400 hover:underline">Latest</button>}
+            </div>
+            <label className={`flex items-center space-x-2 ${useLiveData && asOfDate ? 'text-gray-400' : 'text-gray-600'}`} title="Request FRED series as they were published on the as-of date (ALFRED vintages), so later revisions are excluded.">
+                <input type="checkbox" checked={useVintageData} onChange={(e) => onVintageChange(e.target.checked)} disabled={!useLiveData || !asOfDate} className="accent-cyan-500" />
+                <span>Use vintage FRED data</span>
+            </label>
+            {asOfDate && <span className="text-orange-400">Showing the dashboard as it would have appeared on {formatDate(asOfDate)}</span>}
+        </div>
+    );
+};
+
+const ScoringControls = ({ scoring, onChange, frequency, onFrequencyChange }) => (
+    <div className="flex flex-wrap justify-center items-center mt-4 gap-4 text-sm">
+        <div className="flex items-center space-x-2">
+            <label htmlFor="scoring-method" className="text-gray-400">Scoring</label>
+            <select id="scoring-method" value={scoring.method} onChange={(e) => onChange({ ...scoring, method: e.target.value })} className="bg-gray-800 border border-gray-700 rounded-md px-2 py-1 text-gray-200">
+                {Object.entries(SCORING_METHODS).map(([id, method]) => <option key={id} value={id}>{method.label}</option>)}
+            </select>
+        </div>
+        <div className="flex items-center space-x-2">
+            <span className="text-gray-400">Lookback</span>
+            <div className="flex rounded-md border border-gray-700 overflow-hidden">
+                {LOOKBACKS.map(l => (
+                    <button key={l.id} onClick={() => onChange({ ...scoring, lookback: l.id })} className={`px-2 py-1 ${scoring.lookback === l.id ? 'bg-cyan-600 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'}`}>{l.label}</button>
+                ))}
+            </div>
+        </div>
+        <div className="flex items-center space-x-2">
+            <span className="text-gray-400">Calendar</span>
+            <div className="flex rounded-md border border-gray-700 overflow-hidden">
+                {Object.entries(FREQUENCIES).map(([id, f]) => (
+                    <button key={id} onClick={() => onFrequencyChange(id)} className={`px-2 py-1 ${frequency === id ? 'bg-cyan-600 text-white' : 'bg-gray-800 text-gray-400 hover:text-white'}`}>{f.label}</button>
+                ))}
+            </div>
+        </div>
+    </div>
+);
+
+const DataStatusIndicator = ({ status, useLiveData }) => {
+    const cachedAt = status.cachedAt ? new Date(status.cachedAt).toLocaleString() : '';
+    if (!useLiveData) {
+        return <span className="flex items-center text-sm text-yellow-400"><WifiOff className="h-4 w-4 mr-2"/>Sample Data</span>;
+    }
+    switch (status.state) {
+        case 'refreshing':
+            return <span className="flex items-center text-sm text-cyan-400"><RefreshCw className="h-4 w-4 mr-2 animate-spin"/>Live Data – refreshing cache from {cachedAt}</span>;
+        case 'offline':
+            return <span className="flex items-center text-sm text-orange-400"><WifiOff className="h-4 w-4 mr-2"/>Offline – cached as of {cachedAt}</span>;
+        case 'stale':
+            return <span className="flex items-center text-sm text-orange-400" title={status.message}><WifiOff className="h-4 w-4 mr-2"/>Refresh failed – cached as of {cachedAt}</span>;
+        default:
+            return <span className="flex items-center text-sm text-cyan-400"><Wifi className="h-4 w-4 mr-2"/>Live Data</span>;
+    }
+};
+
+const PartialScoreWarning = ({ available }) => {
+    const missing = INDICATORS.filter(ind => !available.includes(ind.id)).map(ind => ind.shortLabel);
+    return (
+        <div className="mt-3 text-sm text-yellow-400">
+            <p className="flex items-center justify-center font-semibold"><AlertTriangle className="h-4 w-4 mr-1" />Partial score – {available.length} of {INDICATORS.length} components</p>
+            <p className="text-xs text-yellow-500 mt-1">No current data for {missing.join(', ')}; the remaining weights are scaled up to sum to 100%.</p>
+        </div>
+    );
+};
+
+const HealthBadge = ({ health }) => {
+    const status = HEALTH_STATUSES[health.status];
+    return <span title={health.message}><Badge className={status.badge}>{status.label}</Badge></span>;
+};
+
 const HemiGauge = ({ score, status }) => {
     const data = [{ name: 'HEMI', value: score }];
     const color = status.color.startsWith('text-red') ? '#F87171' :
@@ -291,15 +414,76 @@ const HemiGauge = ({ score, status }) => {
     );
 };
 
-const EconomicSummary = ({ data, score }) => {
-    const getTrendDirection = (indicator, name) => {
-        const isInverted = name === 'joblessClaims' || name === 'vix';
-        return (isInverted ? indicator.score < 50 : indicator.score > 50) ? 'positive' : 'negative';
-    };
-    const isExpansion = score >= 45;
-    const confirming = Object.entries(data).filter(([name, ind]) => (isExpansion ? getTrendDirection(ind, name) === 'positive' : getTrendDirection(ind, name) === 'negative'));
-    const contradicting = Object.entries(data).filter(([name, ind]) => (isExpansion ? getTrendDirection(ind, name) === 'negative' : getTrendDirection(ind, name) === 'positive'));
-    const formatTitle = (key) => ({ yieldCurve: "Yield Curve", joblessClaims: "Jobless Claims", sp500: "S&P 500", vix: "VIX", wtiOil: "WTI Oil" }[key] || key);
+const HemiHistoryChart = ({ history, commentary }) => {
+    const episodes = getRegimeEpisodes(history);
+    const totalDays = episodes.reduce((sum, e) => sum + e.days, 0);
+    const current = episodes[episodes.length - 1];
+    // Each expert call sits on the HEMI line at the last calendar date on or before it was published.
+    const markers = commentary
+        .filter(entry => entry.date)
+        .map(entry => ({ entry, point: findHistoryPoint(history, entry.date) }))
+        .filter(m => m.point);
+
+    return (
+        <div>
+            <CardHeader>
+                <CardTitle>HEMI History</CardTitle>
+                <p className="text-sm text-gray-400 mt-1">
+                    Composite score recalculated as of each date in the loaded window.
+                    {current && <> Currently in <span className="font-bold text-white">{current.text}</span> since {formatDate(current.start)}.</>}
+                </p>
+            </CardHeader>
+            <CardContent>
+                <div style={{ width: '100%', height: 320 }}>
+                    <ResponsiveContainer>
+                        <ComposedChart data={history} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                            {HEMI_REGIMES.map(r => <ReferenceArea key={r.text} y1={r.min} y2={r.max} fill={r.fill} fillOpacity={0.1} ifOverflow="hidden" />)}
+                            <CartesianGrid stroke="#374151" strokeDasharray="3 3" vertical={false} />
+                            <XAxis dataKey="date" tick={{ fill: '#9CA3AF', fontSize: 12 }} minTickGap={40} tickFormatter={formatDate} />
+                            <YAxis domain={[0, 100]} ticks={[0, 25, 45, 65, 100]} tick={{ fill: '#9CA3AF', fontSize: 12 }} />
+                            <RechartsTooltip contentStyle={{ backgroundColor: 'rgba(20, 20, 30, 0.8)', borderColor: '#4A5568', color: '#E2E8F0' }} labelFormatter={formatDate} formatter={(value) => [`${value.toFixed(1)} (${getHemiStatus(value).text})`, "HEMI"]} />
+                            <Line type="monotone" dataKey="hemi" stroke="#E5E7EB" strokeWidth={2} dot={false} />
+                            {markers.map(({ entry, point }) => (
+                                <ReferenceDot key={entry.id} x={point.date} y={point.hemi} shape={(props) => (
+                                    <circle cx={props.cx} cy={props.cy} r={6} fill={STANCES[entry.stance].fill} stroke="#111827" strokeWidth={2}>
+                                        <title>{`${entry.author}: ${STANCES[entry.stance].label} (${formatDate(entry.date)})`}</title>
+                                    </circle>
+                                )} />
+                            ))}
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                </div>
+                <ul className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4 text-sm">
+                    {HEMI_REGIMES.map(r => {
+                        const days = episodes.filter(e => e.text === r.text).reduce((sum, e) => sum + e.days, 0);
+                        return (
+                            <li key={r.text} className="flex items-start">
+                                <span className="inline-block h-3 w-3 rounded-sm mt-1 mr-2" style={{ backgroundColor: r.fill }} />
+                                <span>
+                                    <span className={`font-semibold ${r.color}`}>{r.text}</span>
+                                    <span className="block text-xs text-gray-500">{r.min}–{r.max} · {days} days ({totalDays ? ((days / totalDays) * 100).toFixed(0) : 0}%)</span>
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ul>
+                {markers.length > 0 && (
+                    <p className="flex flex-wrap items-center gap-4 mt-4 text-xs text-gray-500">
+                        Expert calls:
+                        {Object.entries(STANCES).map(([id, stance]) => (
+                            <span key={id} className="flex items-center"><span className="inline-block h-3 w-3 rounded-full mr-1" style={{ backgroundColor: stance.fill }} />{stance.label}</span>
+                        ))}
+                    </p>
+                )}
+            </CardContent>
+        </div>
+    );
+};
+
+const EconomicSummary = ({ data, score, summary }) => {
+    const confirming = summary.confirming.map(id => [id, data[id]]);
+    const contradicting = summary.contradicting.map(id => [id, data[id]]);
+    const formatTitle = (key) => INDICATORS.find(ind => ind.id === key)?.shortLabel || key;
 
     return (
         <div>
@@ -321,79 +505,95 @@ const EconomicSummary = ({ data, score }) => {
     );
 };
 
-const IndicatorCard = ({ data, title, format, tooltipContent }) => {
+const IndicatorCard = ({ id, data, health, title, format, inverted, tooltipContent }) => {
+    const chartRef = React.useRef(null);
+    if (!data) return <UnavailableIndicatorCard health={health} title={title} tooltipContent={tooltipContent} />;
     const { currentValue, recentChange, history } = data;
     const isPositive = recentChange > 0;
     const isNeutral = recentChange === 0;
+    // Green means good for the economy, so a rise is red for inverted indicators (VIX, claims).
+    const isImproving = inverted ? recentChange < 0 : isPositive;
     const TrendIcon = isNeutral ? Minus : isPositive ? TrendingUp : TrendingDown;
-    const trendColor = isNeutral ? 'text-gray-400' : isPositive ? 'text-green-400' : 'text-red-400';
-    
-    const formatValue = (value) => {
-        if (typeof value !== 'number') return 'N/A';
-        switch (format) {
-            case 'currency': return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
-            case 'percent': return `${value.toFixed(2)}%`;
-            case 'number': return value.toLocaleString();
-            default: return value;
-        }
-    };
-    
-    const sparklineColor = isPositive ? "#34D399" : "#F87171";
+    const trendColor = isNeutral ? 'text-gray-400' : isImproving ? 'text-green-400' : 'text-red-400';
+    const formatValue = (value) => formatIndicatorValue(value, format);
+
+    const sparklineColor = isImproving ? "#34D399" : "#F87171";
 
     return (
         <Card>
             <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-                <CardTitle className="text-sm font-medium text-gray-400">{title}</CardTitle>
+                <CardTitle className="text-sm font-medium text-gray-400"><a href={getIndicatorHref(id)} className="hover:text-white">{title}</a></CardTitle>
                 <TooltipProvider><Tooltip content={tooltipContent}><TooltipTrigger><HelpCircle className="h-4 w-4 text-gray-500" /></TooltipTrigger></Tooltip></TooltipProvider>
             </CardHeader>
             <CardContent>
-                <div className="text-2xl font-bold text-white">{formatValue(currentValue)}</div>
+                {health && <HealthBadge health={health} />}
+                <div className="text-2xl font-bold text-white mt-2">{formatValue(currentValue)}</div>
                 <p className={`text-xs ${trendColor} flex items-center`}><TrendIcon className="h-4 w-4 mr-1" />{formatValue(recentChange)}</p>
-                <div className="h-20 w-full mt-4">
+                {data.observationDate && <p className="text-xs text-gray-500 mt-1">Observed {formatDate(data.observationDate)} · published {formatDate(data.releaseDate)}</p>}
+                <a href={getIndicatorHref(id)} ref={chartRef} className="block h-20 w-full mt-4" aria-label={`${title} details`}>
                     <ResponsiveContainer>
                         <AreaChart data={history}>
                             <defs><linearGradient id={`color${title.replace(/\s/g, '')}`} x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor={sparklineColor} stopOpacity={0.8}/><stop offset="95%" stopColor={sparklineColor} stopOpacity={0}/></linearGradient></defs>
-                            <RechartsTooltip contentStyle={{ backgroundColor: 'rgba(20, 20, 30, 0.8)', borderColor: '#4A5568', color: '#E2E8F0' }} labelFormatter={(label) => new Date(label).toLocaleDateString()} formatter={(value) => [formatValue(value), "Value"]} />
+                            <RechartsTooltip contentStyle={{ backgroundColor: 'rgba(20, 20, 30, 0.8)', borderColor: '#4A5568', color: '#E2E8F0' }} labelFormatter={formatDate} formatter={(value) => [formatValue(value), "Value"]} />
                             <Area type="monotone" dataKey="value" stroke={sparklineColor} strokeWidth={2} fillOpacity={1} fill={`url(#color${title.replace(/\s/g, '')})`} />
                         </AreaChart>
                     </ResponsiveContainer>
+                </a>
+                <div className="flex items-center justify-between mt-2">
+                    <a href={getIndicatorHref(id)} className="flex items-center text-xs text-cyan-400 hover:text-cyan-300">Details<ChevronRight className="h-3 w-3" /></a>
+                    <ChartExportButtons targetRef={chartRef} fileName={`hemi-${id}`} />
                 </div>
             </CardContent>
         </Card>
     );
 };
 
-const ExpertOpinionCard = ({ name, title, opinion, opinionColor, forecast }) => (
-    <Card>
-        <CardHeader>
-            <CardTitle className="text-base">{name}</CardTitle>
-            <p className="text-xs text-gray-500">{title}</p>
+// Shown instead of the value and sparkline when a component has no usable data.
+const UnavailableIndicatorCard = ({ health, title, tooltipContent }) => (
+    <Card className="border-red-900">
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium text-gray-400">{title}</CardTitle>
+            <TooltipProvider><Tooltip content={tooltipContent}><TooltipTrigger><HelpCircle className="h-4 w-4 text-gray-500" /></TooltipTrigger></Tooltip></TooltipProvider>
         </CardHeader>
         <CardContent>
-            <Badge className={`${opinionColor} bg-opacity-20 mb-3`}>{opinion}</Badge>
-            <p className="text-sm text-gray-400">{forecast}</p>
+            {health && <HealthBadge health={health} />}
+            <div className="text-2xl font-bold text-gray-600 mt-2">—</div>
+            <p className="text-xs text-gray-500 mt-1">{health ? health.message : 'No data available.'}</p>
+            <p className="text-xs text-gray-500 mt-4">Left out of the HEMI until it loads again.</p>
         </CardContent>
     </Card>
 );
 
-const Methodology = () => (
-    <Card>
-        <CardHeader><CardTitle>HEMI Methodology & Data Sources</CardTitle></CardHeader>
-        <CardContent className="space-y-4 text-sm text-gray-400">
-            <div>
-                <h4 className="font-semibold text-gray-200 mb-2">Calculation Methodology</h4>
-                <p>The HEMI score is a weighted average of its five core components. For each indicator, the latest data point is normalized into a score from 0 to 100 by calculating its percentile rank over the last five years of its own history. For indicators where a lower value is better (e.g., Jobless Claims, VIX), the percentile rank is inverted (100 - percentile).</p>
-                <p className="mt-2 font-mono bg-gray-900 p-3 rounded-md text-xs">HEMI = (YieldCurve_Score * 0.30) + (JoblessClaims_Score * 0.25) + (SP500_Score * 0.20) + (VIX_Score * 0.15) + (Oil_Score * 0.10)</p>
-            </div>
-            <div>
-                <h4 className="font-semibold text-gray-200 mb-2">Data Sources</h4>
-                <ul className="list-disc list-inside space-y-1">
-                    <li>Yield Curve, Jobless Claims, VIX: <a href="https://fred.stlouisfed.org/" target="_blank" rel="noopener noreferrer" className="text-cyan-400 hover:underline ml-1">St. Louis Federal Reserve (FRED)</a></li>
-                    <li>S&P 500, WTI Crude Oil: <a href="https://site.financialmodelingprep.com/" target="_blank" rel="noopener noreferrer" className="text-cyan-400 hover:underline ml-1">Financial Modeling Prep (FMP)</a></li>
-                </ul>
-            </div>
-        </CardContent>
-    </Card>
-);
+const Methodology = ({ weights, scoring, frequency }) => {
+    const method = getScoringMethod(scoring.method);
+    const fillRules = [...new Set(INDICATORS.map(ind => `${ind.maxFillDays} days for ${ind.cadence} series`))].join(' and ');
+    const lookback = getLookback(scoring.lookback);
+    const invertedLabels = INDICATORS.filter(ind => ind.inverted).map(ind => ind.shortLabel);
+    const formula = INDICATORS.map(ind => `(${ind.formulaLabel}_Score * ${weights[ind.id].toFixed(2)})`).join(' + ');
+    const sourceGroups = Object.entries(PROVIDERS)
+        .map(([key, provider]) => ({ ...provider, labels: INDICATORS.filter(ind => ind.provider === key).map(ind => ind.shortLabel) }))
+        .filter(group => group.labels.length > 0);
+
+    return (
+        <Card>
+            <CardHeader><CardTitle>HEMI Methodology & Data Sources</CardTitle></CardHeader>
+            <CardContent className="space-y-4 text-sm text-gray-400">
+                <div>
+                    <h4 className="font-semibold text-gray-200 mb-2">Calculation Methodology</h4>
+                    <p>The HEMI score is a weighted average of its {INDICATORS.length} core components. For each indicator, the latest data point is normalized into a score from 0 to 100 by {method.description}, relative to the last {lookback.text} of its own history ({method.label}, {lookback.label} lookback). For indicators where a lower value is better (e.g., {invertedLabels.join(', ')}), the score is inverted (100 - score).</p>
+                    <p className="mt-2">Because the components are published at different cadences and with different lags, all of them are first aligned to a common {FREQUENCIES[frequency].label.toLowerCase()} calendar. On each date a component uses its latest observation that had already been published, carried forward for at most {fillRules} after publication; each card shows the observation and publication date its value comes from. Scores are computed on each component's own observations before this alignment, so the calendar frequency only changes which dates are shown, not the scores themselves.</p>
+                    <p className="mt-2">Each card also carries a data health badge: stale when nothing new has been published within that fill window, gap when observations in the past year are further apart than that, outlier when the latest change is far outside the past year's usual moves, and fetch failed when the download did not succeed. A component without usable data (fewer than two observations, or none within its fill window on the latest date) is left out, and the HEMI is computed from the others with their weights scaled up to sum to 100% and marked as a partial score.</p>
+                    <p className="mt-2 font-mono bg-gray-900 p-3 rounded-md text-xs">HEMI = {formula}</p>
+                </div>
+                <div>
+                    <h4 className="font-semibold text-gray-200 mb-2">Data Sources</h4>
+                    <ul className="list-disc list-inside space-y-1">
+                        {sourceGroups.map(group => <li key={group.name}>{group.labels.join(', ')}: {group.url ? <a href={group.url} target="_blank" rel="noopener noreferrer" className="text-cyan-400 hover:underline ml-1">{group.name}</a> : <span className="ml-1">{group.name}</span>}</li>)}
+                    </ul>
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
 
 export default App;
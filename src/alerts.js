@@ -0,0 +1,122 @@
+import { INDICATORS } from './core/indicators';
+import { HEMI_REGIMES, getHemiStatus } from './core/hemi';
+
+// --- Alert Rules ---
+// Rules are checked against the latest readings after every live data refresh. Threshold and
+// "becomes" rules fire when their condition turns true, so a reading that stays past a threshold
+// doesn't notify again on every refresh; "changes" rules fire on every status transition. Each
+// rule keeps the outcome and reading of its last check (`active`, `lastValue`) for that purpose.
+const RULES_KEY = 'hemi.alertRules';
+const LOG_KEY = 'hemi.alertLog';
+const MAX_LOG_ENTRIES = 100;
+
+export const ALERT_TARGETS = [{ id: 'hemi', label: 'HEMI' }, ...INDICATORS.map(ind => ({ id: ind.id, label: ind.shortLabel }))];
+
+export const getAlertMetrics = (target) => (target === 'hemi' ? ['score', 'status'] : ['value', 'score', 'change']);
+
+export const ALERT_OPERATORS = {
+    '>': { label: 'rises above', metrics: ['value', 'score', 'change'] },
+    '<': { label: 'falls below', metrics: ['value', 'score', 'change'] },
+    becomes: { label: 'becomes', metrics: ['status'] },
+    changes: { label: 'changes', metrics: ['status'] },
+};
+
+export const ALERT_STATUSES = HEMI_REGIMES.map(r => r.text);
+
+// Flattens processed data into `{ hemi: { score, status }, [indicatorId]: { value, score, change } }`.
+// Components missing from `indicatorData` get no reading, and neither does the HEMI when it is
+// `partial`: a composite rescaled over fewer components isn't comparable with the one its rules
+// last saw. Rules without a reading are skipped by checkAlerts and keep their state until next time.
+export const getAlertReadings = (indicatorData, hemiScore, { partial = false } = {}) => ({
+    ...(partial ? {} : { hemi: { score: hemiScore, status: getHemiStatus(hemiScore).text } }),
+    ...Object.fromEntries(INDICATORS.filter(ind => indicatorData[ind.id]).map(ind => [ind.id, {
+        value: indicatorData[ind.id].currentValue,
+        score: indicatorData[ind.id].score,
+        change: indicatorData[ind.id].recentChange,
+    }])),
+});
+
+export const formatAlertValue = (value) => (typeof value === 'number' ? value.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(value));
+
+export const describeRule = (rule) => {
+    const target = ALERT_TARGETS.find(t => t.id === rule.target);
+    const subject = `${target ? target.label : rule.target} ${rule.metric}`;
+    if (rule.operator === 'changes') return `${subject} changes`;
+    if (rule.operator === 'becomes') return `${subject} becomes ${rule.status}`;
+    return `${subject} ${ALERT_OPERATORS[rule.operator].label} ${formatAlertValue(rule.threshold)}`;
+};
+
+const isConditionMet = (rule, value) => {
+    switch (rule.operator) {
+        case '>': return value > rule.threshold;
+        case '<': return value < rule.threshold;
+        case 'becomes': return value === rule.status;
+        case 'changes': return rule.lastValue !== undefined && value !== rule.lastValue;
+        default: return false;
+    }
+};
+
+const readStored = (key, label) => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(key));
+        return Array.isArray(stored) ? stored : [];
+    } catch (err) {
+        console.error(`Could not read ${label}:`, err);
+        return [];
+    }
+};
+
+const writeStored = (key, label, items) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(items));
+    } catch (err) {
+        console.error(`Could not save ${label}:`, err);
+    }
+    return items;
+};
+
+export const loadRules = () => readStored(RULES_KEY, 'alert rules').filter(r => r && r.id && r.target && r.metric && ALERT_OPERATORS[r.operator]);
+const storeRules = (rules) => writeStored(RULES_KEY, 'alert rules', rules);
+
+// Adds a rule and returns the updated list.
+export const addRule = (rule) => storeRules([...loadRules(), { ...rule, id: `${Date.now()}`, enabled: true }]);
+export const deleteRule = (id) => storeRules(loadRules().filter(r => r.id !== id));
+// Pausing a rule also forgets its last check, so it starts fresh when resumed.
+export const setRuleEnabled = (id, enabled) => storeRules(loadRules().map(r => (r.id === id ? { ...r, enabled, active: undefined, lastValue: undefined } : r)));
+
+export const loadAlertLog = () => readStored(LOG_KEY, 'alert log');
+export const clearAlertLog = () => writeStored(LOG_KEY, 'alert log', []);
+
+// Evaluates every enabled rule against `readings`, stores each rule's outcome, appends the
+// triggered alerts to the log (newest first) and returns them.
+export const checkAlerts = (readings, dataDate) => {
+    const firedAt = new Date().toISOString();
+    const fired = [];
+    const rules = loadRules().map(rule => {
+        const value = readings[rule.target] ? readings[rule.target][rule.metric] : undefined;
+        if (!rule.enabled || value === undefined) return rule;
+        const met = isConditionMet(rule, value);
+        if (met && (rule.operator === 'changes' || !rule.active)) {
+            fired.push({ id: `${firedAt}-${rule.id}`, ruleId: rule.id, description: describeRule(rule), firedAt, dataDate, value, previous: rule.lastValue });
+        }
+        return { ...rule, active: met, lastValue: value };
+    });
+    storeRules(rules);
+    if (fired.length) writeStored(LOG_KEY, 'alert log', [...fired, ...loadAlertLog()].slice(0, MAX_LOG_ENTRIES));
+    return fired;
+};
+
+export const canNotify = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const sendAlertNotifications = (alerts) => {
+    if (!canNotify() || window.Notification.permission !== 'granted') return;
+    alerts.forEach(alert => {
+        const previous = alert.previous === undefined ? '' : ` (was ${formatAlertValue(alert.previous)})`;
+        try {
+            new window.Notification('HEMI alert', { body: `${alert.description}: ${formatAlertValue(alert.value)}${previous}`, tag: alert.ruleId });
+        } catch (err) {
+            // Some browsers (e.g. Chrome on Android) only allow notifications from a service worker.
+            console.error("Could not show notification:", err);
+        }
+    });
+};
@@ -0,0 +1,140 @@
+import { INDICATORS, RECESSION_INDICATOR } from './core/indicators';
+import { PROVIDERS, getProviderId } from './providers';
+import { getHemiStatus, scoreComponents, combineComponents, getRegimes } from './core/hemi';
+import { toDateString, addMonths, daysBetween } from './core/dates';
+
+// --- Recession Backtest ---
+// Replays the HEMI over the full available history and checks its warnings against the NBER
+// recession months in FRED's USREC series. An alarm is raised while the HEMI sits below the chosen
+// threshold; a recession counts as detected when an alarm is active at any point between
+// `leadMonths` before it starts and the month it ends.
+
+export const BACKTEST_START = '1990-01-01';
+
+// Alarm stretches separated by a shorter recovery than this are treated as one alarm, so a score
+// hovering around the threshold doesn't count as a string of separate warnings.
+const ALARM_MERGE_DAYS = 28;
+
+const endOfMonth = (date) => {
+    const d = new Date(date);
+    d.setUTCMonth(d.getUTCMonth() + 1, 0);
+    return toDateString(d);
+};
+
+// USREC from FRED in Live mode; otherwise, or when FRED is unreachable, the bundled copy.
+const loadRecessionSeries = async (useLiveData) => {
+    if (useLiveData) {
+        try {
+            const providerId = getProviderId(RECESSION_INDICATOR, { useLiveData });
+            return { series: await PROVIDERS[providerId].fetchSeries(RECESSION_INDICATOR, { startDate: new Date(BACKTEST_START), endDate: new Date() }), source: PROVIDERS[providerId].name };
+        } catch (err) {
+            console.error("Could not load USREC, using the bundled copy:", err);
+        }
+    }
+    return { series: await PROVIDERS.fixture.fetchSeries(RECESSION_INDICATOR), source: PROVIDERS.fixture.name };
+};
+
+// Fetches every component from BACKTEST_START through its current provider (bypassing the
+// series cache, which only holds the dashboard's window) plus the recession dates. A component
+// that fails to load is left out of `seriesById`, with its error message in `failures`.
+export const loadBacktestData = async ({ useLiveData, uploads }) => {
+    const options = { useLiveData, uploads, startDate: new Date(BACKTEST_START), endDate: new Date() };
+    const [recessions, results] = await Promise.all([
+        loadRecessionSeries(useLiveData),
+        Promise.allSettled(INDICATORS.map(ind => PROVIDERS[getProviderId(ind, options)].fetchSeries(ind, options))),
+    ]);
+    const seriesById = {};
+    const failures = {};
+    INDICATORS.forEach((ind, i) => {
+        const result = results[i];
+        if (result.status === 'fulfilled') {
+            seriesById[ind.id] = result.value;
+            return;
+        }
+        console.error(`Could not load the ${ind.label} history:`, result.reason);
+        failures[ind.id] = result.reason.message;
+    });
+    return {
+        seriesById,
+        failures,
+        recessions: getRecessions(recessions.series),
+        recessionSource: recessions.source,
+    };
+};
+
+// Weekly HEMI history over everything loaded. Weekly keeps decades of history cheap to score.
+// As on the dashboard, components that can't be scored are left out with the other weights
+// rescaled; `skipped` lists their ids.
+export const buildBacktestHistory = (seriesById, scoring, weights) => {
+    const { history, available } = combineComponents(scoreComponents(seriesById, { scoring, frequency: 'weekly' }), weights);
+    return { history, skipped: INDICATORS.filter(ind => !available.includes(ind.id)).map(ind => ind.id) };
+};
+
+// Consecutive recession months of a USREC series as `{ start, end }` date ranges.
+export const getRecessions = (series) => {
+    const recessions = [];
+    let current = null;
+    series.forEach(d => {
+        if (d.value >= 1) {
+            if (!current) {
+                current = { start: d.date };
+                recessions.push(current);
+            }
+            current.end = endOfMonth(d.date);
+        } else {
+            current = null;
+        }
+    });
+    return recessions;
+};
+
+export const getAlarmEpisodes = (history, threshold) => {
+    const episodes = [];
+    history.forEach(point => {
+        if (point.hemi >= threshold) return;
+        const last = episodes[episodes.length - 1];
+        if (last && daysBetween(last.end, point.date) <= ALARM_MERGE_DAYS) last.end = point.date;
+        else episodes.push({ start: point.date, end: point.date });
+    });
+    return episodes;
+};
+
+// Scores one threshold set. `alarmLevel` picks which threshold raises the alarm (0 = below the
+// first cut-off, i.e. High Recession Risk). Only recessions whose whole lead window falls inside
+// the history are tested. Lead times are in days; negative means the alarm came after the start.
+export const runBacktest = (history, recessions, { thresholds, alarmLevel, leadMonths }) => {
+    if (history.length === 0) return null;
+    const first = history[0].date;
+    const last = history[history.length - 1].date;
+    const alarms = getAlarmEpisodes(history, thresholds[alarmLevel]);
+    const windows = recessions.map(r => ({ ...r, windowStart: addMonths(r.start, -leadMonths) }));
+    const overlaps = (alarm, w) => alarm.start <= w.end && alarm.end >= w.windowStart;
+
+    const tested = windows
+        .filter(w => w.windowStart >= first && w.start <= last)
+        .map(w => {
+            const alarm = alarms.find(a => overlaps(a, w));
+            return { start: w.start, end: w.end, detected: Boolean(alarm), alarmStart: alarm ? alarm.start : null, leadDays: alarm ? daysBetween(alarm.start, w.start) : null };
+        });
+    const detected = tested.filter(r => r.detected);
+    const falseAlarms = alarms.filter(a => !windows.some(w => overlaps(a, w)));
+
+    const inRecession = (date) => recessions.some(r => r.start <= date && date <= r.end);
+    const recessionPoints = history.filter(point => inRecession(point.date));
+    const regimes = getRegimes(thresholds);
+    const share = (points, regime) => (points.length ? points.filter(p => getHemiStatus(p.hemi, regimes).text === regime.text).length / points.length : null);
+    const regimeTime = regimes.map(regime => ({
+        text: regime.text,
+        fill: regime.fill,
+        share: share(history, regime),
+        recessionShare: share(recessionPoints, regime),
+    }));
+
+    return {
+        tested,
+        hitRate: tested.length ? detected.length / tested.length : null,
+        averageLeadDays: detected.length ? detected.reduce((sum, r) => sum + r.leadDays, 0) / detected.length : null,
+        falseAlarms,
+        regimeTime,
+    };
+};
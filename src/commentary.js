@@ -0,0 +1,61 @@
+import content from './content/commentary.json';
+import { daysBetween, isValidDate } from './core/dates';
+
+// --- Expert Commentary ---
+// Commentary is kept in content/commentary.json rather than in the components, so it can be
+// updated (and reviewed in git) without touching code. The file has a `version` for its schema
+// and an `entries` list:
+//
+//   id           unique key, e.g. '<author>-<date>'
+//   author       name shown on the card
+//   affiliation  role and organization
+//   stance       key into STANCES
+//   label        optional wording for the stance badge, e.g. 'Bearish / Defensive'
+//   text         the commentary; blank lines separate paragraphs
+//   date         publication date, 'YYYY-MM-DD'; leave it out when unknown rather than guessing
+//   hemi         optional HEMI score the author was looking at when writing
+//
+// Only dated entries can be checked for staleness and marked on the HEMI history; undated ones
+// are listed after them with an "Undated" badge.
+
+export const COMMENTARY_VERSION = 1;
+
+export const STANCES = {
+    bullish: { label: 'Bullish', color: 'text-green-400', fill: '#4ADE80' },
+    neutral: { label: 'Neutral', color: 'text-gray-300', fill: '#D1D5DB' },
+    bearish: { label: 'Bearish', color: 'text-yellow-400', fill: '#FBBF24' },
+};
+
+// Commentary older than this is marked stale: the conditions it describes have likely moved on.
+export const STALE_AFTER_DAYS = 45;
+
+const isValidEntry = (entry) => Boolean(
+    entry && entry.id && entry.author && entry.affiliation && entry.text
+    && STANCES[entry.stance]
+    && (entry.date === undefined || isValidDate(entry.date))
+    && (entry.hemi === undefined || Number.isFinite(entry.hemi))
+);
+
+// Valid entries from a commentary file, newest first and undated ones last in file order. Entries
+// that don't match the schema are skipped (and logged) so one typo doesn't take the whole section down.
+export const parseCommentary = (data) => {
+    if (!data || data.version !== COMMENTARY_VERSION || !Array.isArray(data.entries)) {
+        console.error(`Unsupported commentary file; expected version ${COMMENTARY_VERSION} with an entries list.`);
+        return [];
+    }
+    return data.entries
+        .filter(entry => {
+            if (isValidEntry(entry)) return true;
+            console.error("Skipping invalid commentary entry:", entry);
+            return false;
+        })
+        .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+};
+
+export const COMMENTARY = parseCommentary(content);
+
+// Commentary published by `date`, so a point-in-time view doesn't show calls made later. Undated
+// entries can't be placed and are always kept.
+export const getCommentaryAsOf = (entries, date) => entries.filter(entry => !entry.date || entry.date <= date);
+
+export const isStale = (entry, today) => Boolean(entry.date) && daysBetween(entry.date, today) > STALE_AFTER_DAYS;
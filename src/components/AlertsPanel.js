@@ -0,0 +1,132 @@
+import React from 'react';
+import { Bell, BellOff, Plus, Trash2 } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui';
+import { ALERT_TARGETS, ALERT_OPERATORS, ALERT_STATUSES, getAlertMetrics, describeRule, formatAlertValue, loadRules, addRule, deleteRule, setRuleEnabled, canNotify } from '../alerts';
+import { formatDate } from '../core/dates';
+
+const getOperators = (metric) => Object.keys(ALERT_OPERATORS).filter(op => ALERT_OPERATORS[op].metrics.includes(metric));
+
+const EMPTY_RULE = { target: 'hemi', metric: 'score', operator: '<', threshold: '45', status: ALERT_STATUSES[0] };
+
+const AlertsPanel = ({ log, onClearLog, useLiveData }) => {
+    const [rules, setRules] = React.useState(loadRules);
+    const [draft, setDraft] = React.useState(EMPTY_RULE);
+    const [permission, setPermission] = React.useState(canNotify() ? window.Notification.permission : 'unsupported');
+
+    // Picking a target or metric resets the fields that depend on it to the first valid choice.
+    const updateDraft = (field, value) => setDraft(prev => {
+        const next = { ...prev, [field]: value };
+        if (field === 'target') next.metric = getAlertMetrics(value)[0];
+        if (!getOperators(next.metric).includes(next.operator)) next.operator = getOperators(next.metric)[0];
+        return next;
+    });
+
+    const isStatusRule = draft.metric === 'status';
+    const threshold = parseFloat(draft.threshold);
+    const isDraftValid = isStatusRule || Number.isFinite(threshold);
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!isDraftValid) return;
+        const { target, metric, operator, status } = draft;
+        setRules(addRule(isStatusRule ? { target, metric, operator, ...(operator === 'becomes' ? { status } : {}) } : { target, metric, operator, threshold }));
+    };
+
+    const requestPermission = async () => {
+        try {
+            setPermission(await window.Notification.requestPermission());
+        } catch (err) {
+            console.error("Notification permission error:", err);
+        }
+    };
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-center justify-between">
+                <div>
+                    <CardTitle>Alerts</CardTitle>
+                    <p className="text-sm text-gray-400 mt-1">
+                        Rules are saved in this browser and checked whenever live data refreshes. A threshold rule fires when its condition becomes true.
+                        Rules on a component that couldn't be loaded wait for its next successful refresh, and HEMI rules wait while the score is partial.
+                        {!useLiveData && ' Switch to Live data to start checking.'}
+                    </p>
+                </div>
+                {permission === 'granted' && <span className="flex items-center text-sm text-green-400"><Bell className="h-4 w-4 mr-1" />Notifications on</span>}
+                {permission === 'default' && (
+                    <button onClick={requestPermission} className="flex items-center text-sm text-cyan-400 hover:text-cyan-300">
+                        <Bell className="h-4 w-4 mr-1" />Enable notifications
+                    </button>
+                )}
+                {(permission === 'denied' || permission === 'unsupported') && (
+                    <span className="flex items-center text-sm text-gray-500"><BellOff className="h-4 w-4 mr-1" />{permission === 'denied' ? 'Notifications blocked' : 'Notifications unavailable'}</span>
+                )}
+            </CardHeader>
+            <CardContent className="grid grid-cols-1 lg:grid-cols-2 gap-6 text-sm">
+                <div className="space-y-4">
+                    <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+                        <select aria-label="Alert target" value={draft.target} onChange={(e) => updateDraft('target', e.target.value)} className="bg-gray-700 text-white rounded px-2 py-1">
+                            {ALERT_TARGETS.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                        </select>
+                        <select aria-label="Alert metric" value={draft.metric} onChange={(e) => updateDraft('metric', e.target.value)} className="bg-gray-700 text-white rounded px-2 py-1">
+                            {getAlertMetrics(draft.target).map(m => <option key={m} value={m}>{m}</option>)}
+                        </select>
+                        <select aria-label="Alert condition" value={draft.operator} onChange={(e) => updateDraft('operator', e.target.value)} className="bg-gray-700 text-white rounded px-2 py-1">
+                            {getOperators(draft.metric).map(op => <option key={op} value={op}>{ALERT_OPERATORS[op].label}</option>)}
+                        </select>
+                        {!isStatusRule && (
+                            <input aria-label="Alert threshold" type="number" step="any" value={draft.threshold} onChange={(e) => updateDraft('threshold', e.target.value)} className="w-28 bg-gray-700 text-white rounded px-2 py-1" />
+                        )}
+                        {draft.operator === 'becomes' && (
+                            <select aria-label="Alert status" value={draft.status} onChange={(e) => updateDraft('status', e.target.value)} className="bg-gray-700 text-white rounded px-2 py-1">
+                                {ALERT_STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                            </select>
+                        )}
+                        <button type="submit" disabled={!isDraftValid} className="flex items-center px-3 py-1 rounded-md text-white bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50">
+                            <Plus className="h-4 w-4 mr-1" />Add rule
+                        </button>
+                    </form>
+                    {rules.length === 0 ? (
+                        <p className="text-gray-500">No alert rules yet.</p>
+                    ) : (
+                        <ul className="divide-y divide-gray-700">
+                            {rules.map(rule => (
+                                <li key={rule.id} className="py-2 flex items-center justify-between">
+                                    <label className={`flex items-center ${rule.enabled ? 'text-gray-200' : 'text-gray-500'}`}>
+                                        <input type="checkbox" checked={rule.enabled} onChange={(e) => setRules(setRuleEnabled(rule.id, e.target.checked))} className="mr-2 accent-cyan-500" />
+                                        {describeRule(rule)}
+                                    </label>
+                                    <button onClick={() => setRules(deleteRule(rule.id))} className="text-gray-500 hover:text-red-400" aria-label={`Delete ${describeRule(rule)}`}>
+                                        <Trash2 className="h-4 w-4" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+                <div>
+                    <div className="flex items-center justify-between mb-2">
+                        <h4 className="font-semibold text-gray-300">Triggered alerts</h4>
+                        {log.length > 0 && <button onClick={onClearLog} className="text-gray-500 hover:text-white">Clear</button>}
+                    </div>
+                    {log.length === 0 ? (
+                        <p className="text-gray-500">Nothing has triggered yet.</p>
+                    ) : (
+                        <ul className="space-y-2 max-h-64 overflow-y-auto">
+                            {log.map(entry => (
+                                <li key={entry.id} className="bg-gray-900 rounded-md p-2">
+                                    <p className="text-gray-200">{entry.description}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {formatAlertValue(entry.value)}{entry.previous !== undefined && entry.previous !== null ? ` (was ${formatAlertValue(entry.previous)})` : ''}
+                                        {' · '}data as of {entry.dataDate ? formatDate(entry.dataDate) : 'unknown'} · {new Date(entry.firedAt).toLocaleString()}
+                                    </p>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default AlertsPanel;
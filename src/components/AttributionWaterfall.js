@@ -0,0 +1,135 @@
+import React from 'react';
+import { ResponsiveContainer, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, ReferenceLine, Tooltip as RechartsTooltip } from 'recharts';
+import { ArrowRight } from 'lucide-react';
+import { CardHeader, CardTitle, CardContent, Badge } from './ui';
+import { INDICATORS } from '../core/indicators';
+import { getAttribution } from '../core/hemi';
+import { addDays, addMonths, formatDate } from '../core/dates';
+
+const PRESETS = [
+    { id: '1w', label: '1 Week', getFrom: (to) => addDays(to, -7) },
+    { id: '1m', label: '1 Month', getFrom: (to) => addMonths(to, -1) },
+    { id: 'custom', label: 'Custom' },
+];
+
+const formatDelta = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+// Waterfall bars are stacked on an invisible `base` bar so each step starts where the previous ended.
+const buildWaterfall = (attribution) => {
+    const steps = [{ name: formatDate(attribution.from.date), base: 0, value: attribution.from.hemi, delta: attribution.from.hemi, isTotal: true }];
+    let running = attribution.from.hemi;
+    attribution.contributions.forEach(c => {
+        const next = running + c.contribution;
+        steps.push({ name: INDICATORS.find(ind => ind.id === c.id).shortLabel, base: Math.min(running, next), value: Math.abs(c.contribution), delta: c.contribution });
+        running = next;
+    });
+    steps.push({ name: formatDate(attribution.to.date), base: 0, value: attribution.to.hemi, delta: attribution.to.hemi, isTotal: true });
+    return steps;
+};
+
+const AttributionWaterfall = ({ history, weights }) => {
+    const [preset, setPreset] = React.useState('1w');
+    const [customFrom, setCustomFrom] = React.useState('');
+    const [customTo, setCustomTo] = React.useState('');
+
+    const first = history.length ? history[0].date : '';
+    const latest = history.length ? history[history.length - 1].date : '';
+    const toDate = preset === 'custom' && customTo ? customTo : latest;
+    const fromDate = preset === 'custom' ? customFrom || first : PRESETS.find(p => p.id === preset).getFrom(toDate);
+    const attribution = React.useMemo(() => (history.length ? getAttribution(history, weights, fromDate, toDate) : null), [history, weights, fromDate, toDate]);
+    const steps = attribution ? buildWaterfall(attribution) : [];
+
+    const selectPreset = (id) => {
+        // Custom starts from whatever range was on screen.
+        if (id === 'custom' && attribution) {
+            setCustomFrom(attribution.from.date);
+            setCustomTo(attribution.to.date);
+        }
+        setPreset(id);
+    };
+
+    return (
+        <div>
+            <CardHeader>
+                <CardTitle>What Moved the HEMI</CardTitle>
+                <p className="text-sm text-gray-400 mt-1">Each component's weighted score change between two dates; together they add up to the change in the composite.</p>
+            </CardHeader>
+            <CardContent>
+                <div className="flex flex-wrap items-center gap-2 text-sm mb-4">
+                    {PRESETS.map(p => (
+                        <button key={p.id} onClick={() => selectPreset(p.id)} className={`px-3 py-1 rounded-md ${preset === p.id ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{p.label}</button>
+                    ))}
+                    {preset === 'custom' && (
+                        <>
+                            <input type="date" value={customFrom} min={first} max={customTo || latest} onChange={(e) => setCustomFrom(e.target.value)} className="bg-gray-700 text-white rounded px-2 py-1" />
+                            <ArrowRight className="h-4 w-4 text-gray-500" />
+                            <input type="date" value={customTo} min={customFrom || first} max={latest} onChange={(e) => setCustomTo(e.target.value)} className="bg-gray-700 text-white rounded px-2 py-1" />
+                        </>
+                    )}
+                </div>
+
+                {!attribution ? (
+                    <p className="text-sm text-gray-500">No HEMI history for the selected dates.</p>
+                ) : (
+                    <>
+                        <div className="flex flex-wrap items-center gap-3 text-sm mb-2">
+                            <span>
+                                {formatDate(attribution.from.date)} <span className={attribution.fromStatus.color}>{attribution.from.hemi.toFixed(1)}</span>
+                                {' → '}
+                                {formatDate(attribution.to.date)} <span className={attribution.toStatus.color}>{attribution.to.hemi.toFixed(1)}</span>
+                                <span className="font-bold text-white ml-2">({formatDelta(attribution.change)})</span>
+                            </span>
+                            {attribution.regimeChanged && (
+                                <Badge className="bg-yellow-900/50 text-yellow-300 border border-yellow-700">
+                                    Regime change: {attribution.fromStatus.text} → {attribution.toStatus.text}
+                                </Badge>
+                            )}
+                            {attribution.from.date > fromDate && <span className="text-xs text-gray-500">History starts {formatDate(attribution.from.date)}.</span>}
+                        </div>
+                        <div style={{ width: '100%', height: 260 }}>
+                            <ResponsiveContainer>
+                                <BarChart data={steps} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                                    <CartesianGrid stroke="#374151" strokeDasharray="3 3" vertical={false} />
+                                    <XAxis dataKey="name" tick={{ fill: '#9CA3AF', fontSize: 12 }} interval={0} />
+                                    <YAxis domain={[0, 100]} tick={{ fill: '#9CA3AF', fontSize: 12 }} />
+                                    <ReferenceLine y={attribution.from.hemi} stroke="#6B7280" strokeDasharray="3 3" />
+                                    <RechartsTooltip
+                                        cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }}
+                                        contentStyle={{ backgroundColor: 'rgba(20, 20, 30, 0.8)', borderColor: '#4A5568', color: '#E2E8F0' }}
+                                        formatter={(value, name, item) => (item.payload.isTotal ? [value.toFixed(1), 'HEMI'] : [formatDelta(item.payload.delta), 'Contribution'])}
+                                    />
+                                    <Bar dataKey="base" stackId="waterfall" fill="transparent" tooltipType="none" isAnimationActive={false} />
+                                    <Bar dataKey="value" stackId="waterfall" isAnimationActive={false}>
+                                        {steps.map((step, i) => <Cell key={i} fill={step.isTotal ? '#9CA3AF' : step.delta >= 0 ? '#4ADE80' : '#F87171'} />)}
+                                    </Bar>
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                        <table className="w-full text-sm mt-4">
+                            <thead>
+                                <tr className="text-left text-gray-400 border-b border-gray-700">
+                                    <th className="py-2 font-normal">Component</th>
+                                    <th className="py-2 font-normal">Score</th>
+                                    <th className="py-2 font-normal">Weight</th>
+                                    <th className="py-2 font-normal">Contribution</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {attribution.contributions.map(c => (
+                                    <tr key={c.id} className="border-b border-gray-800">
+                                        <td className="py-2 text-gray-300">{INDICATORS.find(ind => ind.id === c.id).shortLabel}</td>
+                                        <td className="py-2 text-white">{c.from.toFixed(1)} → {c.to.toFixed(1)}</td>
+                                        <td className="py-2 text-white">{(c.weight * 100).toFixed(0)}%</td>
+                                        <td className={`py-2 font-semibold ${c.contribution >= 0 ? 'text-green-400' : 'text-red-400'}`}>{formatDelta(c.contribution)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </>
+                )}
+            </CardContent>
+        </div>
+    );
+};
+
+export default AttributionWaterfall;
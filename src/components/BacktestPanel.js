@@ -0,0 +1,199 @@
+import React from 'react';
+import { ResponsiveContainer, ComposedChart, Line, XAxis, YAxis, CartesianGrid, ReferenceArea, ReferenceLine, Tooltip as RechartsTooltip } from 'recharts';
+import { RefreshCw } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui';
+import { HEMI_REGIMES, DEFAULT_THRESHOLDS } from '../core/hemi';
+import { INDICATORS } from '../core/indicators';
+import { BACKTEST_START, loadBacktestData, buildBacktestHistory, runBacktest } from '../backtest';
+import { formatDate } from '../core/dates';
+
+const DAYS_PER_MONTH = 30.44;
+
+const formatShare = (share) => (share === null ? '–' : `${(share * 100).toFixed(0)}%`);
+const formatLead = (days) => (days === null ? '–' : `${(days / DAYS_PER_MONTH).toFixed(1)} mo`);
+
+const isValidThresholds = (thresholds) => thresholds.every((t, i) => Number.isFinite(t) && t > (i === 0 ? 0 : thresholds[i - 1]) && t < 100);
+
+// Names the components missing from a partial backtest and why, since its results aren't comparable to a full one.
+const SkippedComponentsWarning = ({ skipped, failures }) => (
+    <div className="text-sm text-yellow-400 mb-2">
+        <p className="font-semibold">Partial backtest – {INDICATORS.length - skipped.length} of {INDICATORS.length} components; the remaining weights are scaled up to sum to 100%.</p>
+        <ul className="text-xs text-yellow-500 mt-1">
+            {INDICATORS.filter(ind => skipped.includes(ind.id)).map(ind => (
+                <li key={ind.id}>{ind.shortLabel}: {failures[ind.id] ? `failed to load (${failures[ind.id]})` : 'too few or out-of-date observations to score'}</li>
+            ))}
+        </ul>
+    </div>
+);
+
+const BacktestPanel = ({ useLiveData, uploads, scoring, weights }) => {
+    const [data, setData] = React.useState(null);
+    const [loading, setLoading] = React.useState(false);
+    const [error, setError] = React.useState(null);
+    const [thresholds, setThresholds] = React.useState(DEFAULT_THRESHOLDS);
+    const [alarmLevel, setAlarmLevel] = React.useState(0);
+    const [leadMonths, setLeadMonths] = React.useState(12);
+
+    // Loaded history belongs to the data mode it was fetched in.
+    React.useEffect(() => {
+        setData(null);
+        setError(null);
+    }, [useLiveData, uploads]);
+
+    const runLoad = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setData(await loadBacktestData({ useLiveData, uploads }));
+        } catch (err) {
+            console.error("Backtest load error:", err);
+            setError(`Failed to load backtest data. ${err.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const { history, skipped, historyError } = React.useMemo(() => {
+        if (!data) return { history: null, skipped: [], historyError: null };
+        try {
+            return { ...buildBacktestHistory(data.seriesById, scoring, weights), historyError: null };
+        } catch (err) {
+            return { history: null, skipped: [], historyError: err.message };
+        }
+    }, [data, scoring, weights]);
+
+    const validThresholds = isValidThresholds(thresholds);
+    const results = React.useMemo(() => {
+        if (!history || !data) return null;
+        const run = (set) => runBacktest(history, data.recessions, { thresholds: set, alarmLevel, leadMonths });
+        return { default: run(DEFAULT_THRESHOLDS), custom: validThresholds ? run(thresholds) : null };
+    }, [history, data, thresholds, validThresholds, alarmLevel, leadMonths]);
+
+    const updateThreshold = (i, value) => setThresholds(prev => prev.map((t, j) => (j === i ? parseFloat(value) : t)));
+
+    // The date axis is categorical, so recession bands are snapped to the weekly dates they cover.
+    const recessionBands = history ? data.recessions
+        .map(r => ({ x1: history.find(p => p.date >= r.start)?.date, x2: [...history].reverse().find(p => p.date <= r.end)?.date }))
+        .filter(band => band.x1 && band.x2 && band.x1 <= band.x2) : [];
+    const summaryRows = results && results.default ? [
+        { label: 'Recessions detected', value: (r) => `${r.tested.filter(t => t.detected).length} of ${r.tested.length}` },
+        { label: 'Hit rate', value: (r) => formatShare(r.hitRate) },
+        { label: 'Average lead time', value: (r) => formatLead(r.averageLeadDays) },
+        { label: 'False alarms', value: (r) => r.falseAlarms.length },
+        ...HEMI_REGIMES.map((regime, i) => ({
+            label: `Time in ${regime.text} (in recessions)`,
+            value: (r) => `${formatShare(r.regimeTime[i].share)} (${formatShare(r.regimeTime[i].recessionShare)})`,
+        })),
+    ] : [];
+    const detail = results && (results.custom || results.default);
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>Recession Backtest</CardTitle>
+                <p className="text-sm text-gray-400 mt-1">
+                    Replays the weekly HEMI from {formatDate(BACKTEST_START)} (or the start of the available data) with the current weights and scoring,
+                    and checks its warnings against NBER recession dates (FRED series USREC). Scores in the first lookback window compare against a shorter history.
+                </p>
+            </CardHeader>
+            <CardContent>
+                <div className="flex flex-wrap items-end gap-4 text-sm mb-4">
+                    {HEMI_REGIMES.slice(1).map((regime, i) => (
+                        <label key={regime.text} className="flex flex-col text-gray-400">
+                            <span>{HEMI_REGIMES[i].text} / {regime.text}</span>
+                            <input type="number" min="1" max="99" step="1" value={Number.isFinite(thresholds[i]) ? thresholds[i] : ''} onChange={(e) => updateThreshold(i, e.target.value)} className="mt-1 w-24 bg-gray-700 text-white rounded px-2 py-1" />
+                        </label>
+                    ))}
+                    <label className="flex flex-col text-gray-400">
+                        <span>Alarm on</span>
+                        <select value={alarmLevel} onChange={(e) => setAlarmLevel(parseInt(e.target.value, 10))} className="mt-1 bg-gray-700 text-white rounded px-2 py-1">
+                            {HEMI_REGIMES.slice(0, 2).map((regime, i) => <option key={regime.text} value={i}>{i === 0 ? regime.text : `${regime.text} or worse`}</option>)}
+                        </select>
+                    </label>
+                    <label className="flex flex-col text-gray-400">
+                        <span>Lead window (months)</span>
+                        <input type="number" min="0" max="36" step="1" value={leadMonths} onChange={(e) => setLeadMonths(Math.max(0, parseInt(e.target.value, 10) || 0))} className="mt-1 w-24 bg-gray-700 text-white rounded px-2 py-1" />
+                    </label>
+                    <button onClick={() => setThresholds(DEFAULT_THRESHOLDS)} className="px-3 py-1 rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600">Reset thresholds</button>
+                    <button onClick={runLoad} disabled={loading} className="flex items-center px-3 py-1 rounded-md text-white bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50">
+                        <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />{data ? 'Reload history' : 'Run backtest'}
+                    </button>
+                </div>
+                {!validThresholds && <p className="text-sm text-yellow-400 mb-4">Thresholds must increase from left to right and lie between 0 and 100; showing the defaults only.</p>}
+                {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+                {historyError && <p className="text-sm text-red-400 mb-4">{historyError}</p>}
+                {!data && !loading && !error && <p className="text-sm text-gray-500">Run the backtest to load the full history for every component.</p>}
+
+                {history && results && results.default && (
+                    <>
+                        <p className="text-xs text-gray-500 mb-2">
+                            {history.length} weekly scores from {formatDate(history[0].date)} to {formatDate(history[history.length - 1].date)} · recession dates from {data.recessionSource}
+                        </p>
+                        {skipped.length > 0 && <SkippedComponentsWarning skipped={skipped} failures={data.failures} />}
+                        <div style={{ width: '100%', height: 280 }}>
+                            <ResponsiveContainer>
+                                <ComposedChart data={history} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                                    {recessionBands.map(band => <ReferenceArea key={band.x1} x1={band.x1} x2={band.x2} fill="#9CA3AF" fillOpacity={0.2} ifOverflow="hidden" />)}
+                                    <CartesianGrid stroke="#374151" strokeDasharray="3 3" vertical={false} />
+                                    <XAxis dataKey="date" tick={{ fill: '#9CA3AF', fontSize: 12 }} minTickGap={40} tickFormatter={(date) => new Date(date).getUTCFullYear()} />
+                                    <YAxis domain={[0, 100]} tick={{ fill: '#9CA3AF', fontSize: 12 }} />
+                                    {(validThresholds ? thresholds : DEFAULT_THRESHOLDS).map((t, i) => <ReferenceLine key={i} y={t} stroke={HEMI_REGIMES[i + 1].fill} strokeDasharray={i === alarmLevel ? undefined : '4 4'} />)}
+                                    <RechartsTooltip contentStyle={{ backgroundColor: 'rgba(20, 20, 30, 0.8)', borderColor: '#4A5568', color: '#E2E8F0' }} labelFormatter={formatDate} formatter={(value) => [value.toFixed(1), "HEMI"]} />
+                                    <Line type="monotone" dataKey="hemi" stroke="#E5E7EB" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                                </ComposedChart>
+                            </ResponsiveContainer>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">Shaded: NBER recessions. Solid line: alarm threshold.</p>
+
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-4 text-sm">
+                            <table className="w-full">
+                                <thead>
+                                    <tr className="text-left text-gray-400 border-b border-gray-700">
+                                        <th className="py-2 font-normal">Metric</th>
+                                        <th className="py-2 font-normal">Default ({DEFAULT_THRESHOLDS.join(' / ')})</th>
+                                        <th className="py-2 font-normal">Custom ({validThresholds ? thresholds.join(' / ') : '–'})</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {summaryRows.map(row => (
+                                        <tr key={row.label} className="border-b border-gray-800">
+                                            <td className="py-2 text-gray-300">{row.label}</td>
+                                            <td className="py-2 text-white">{row.value(results.default)}</td>
+                                            <td className="py-2 text-white">{results.custom ? row.value(results.custom) : '–'}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            <div>
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="text-left text-gray-400 border-b border-gray-700">
+                                            <th className="py-2 font-normal">Recession</th>
+                                            <th className="py-2 font-normal">First alarm</th>
+                                            <th className="py-2 font-normal">Lead time</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {detail.tested.map(r => (
+                                            <tr key={r.start} className="border-b border-gray-800">
+                                                <td className="py-2 text-gray-300">{formatDate(r.start)} – {formatDate(r.end)}</td>
+                                                <td className={`py-2 ${r.detected ? 'text-white' : 'text-red-400'}`}>{r.detected ? formatDate(r.alarmStart) : 'Missed'}</td>
+                                                <td className="py-2 text-white">{formatLead(r.leadDays)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {detail.tested.length === 0 && <p className="text-gray-500 mt-2">No recession falls inside the loaded history with a full {leadMonths}-month lead window.</p>}
+                                {detail.falseAlarms.length > 0 && (
+                                    <p className="text-xs text-gray-500 mt-2">False alarms: {detail.falseAlarms.map(a => `${formatDate(a.start)} – ${formatDate(a.end)}`).join(', ')}</p>
+                                )}
+                            </div>
+                        </div>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+export default BacktestPanel;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+import { exportChart } from '../exporting';
+
+// SVG/PNG download links for the chart rendered inside `targetRef`.
+const ChartExportButtons = ({ targetRef, fileName, className = '' }) => {
+    const handleExport = async (format) => {
+        try {
+            await exportChart(targetRef.current, fileName, format);
+        } catch (err) {
+            console.error("Chart export error:", err);
+        }
+    };
+
+    return (
+        <span className={`flex items-center space-x-2 text-xs text-gray-500 ${className}`}>
+            <Download className="h-3 w-3" />
+            <button onClick={() => handleExport('svg')} className="hover:text-white">SVG</button>
+            <button onClick={() => handleExport('png')} className="hover:text-white">PNG</button>
+        </span>
+    );
+};
+
+export default ChartExportButtons;
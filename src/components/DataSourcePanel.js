@@ -0,0 +1,69 @@
+import React from 'react';
+import { Upload, X } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui';
+import { INDICATORS } from '../core/indicators';
+import { PROVIDERS, getProviderId } from '../providers';
+import { parseSeriesFile } from '../core/series';
+
+const DataSourcePanel = ({ useLiveData, uploads, onUploadsChange }) => {
+    const [uploadErrors, setUploadErrors] = React.useState({});
+
+    const handleFile = async (indicator, file) => {
+        if (!file) return;
+        try {
+            const series = parseSeriesFile(await file.text(), file.name, indicator);
+            if (series.length < 2) throw new Error(`${file.name} needs at least two dated observations.`);
+            setUploadErrors(prev => ({ ...prev, [indicator.id]: null }));
+            onUploadsChange({ ...uploads, [indicator.id]: { fileName: file.name, series } });
+        } catch (err) {
+            setUploadErrors(prev => ({ ...prev, [indicator.id]: err.message }));
+        }
+    };
+
+    const clearUpload = (indicator) => {
+        const { [indicator.id]: removed, ...rest } = uploads;
+        onUploadsChange(rest);
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>Data Sources</CardTitle>
+                <p className="text-sm text-gray-400 mt-1">Upload a CSV (date plus a value column) or JSON export to replace an indicator's feed with your own data.</p>
+            </CardHeader>
+            <CardContent>
+                <ul className="divide-y divide-gray-700 text-sm">
+                    {INDICATORS.map(ind => {
+                        const upload = uploads[ind.id];
+                        const provider = PROVIDERS[getProviderId(ind, { useLiveData, uploads })];
+                        return (
+                            <li key={ind.id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between">
+                                <div>
+                                    <p className="text-gray-200">{ind.label}</p>
+                                    <p className="text-xs text-gray-500">
+                                        {provider ? provider.name : 'Unknown provider'}
+                                        {upload ? ` · ${upload.fileName} (${upload.series.length} observations)` : ` · ${ind.seriesId}`}
+                                    </p>
+                                    {uploadErrors[ind.id] && <p className="text-xs text-red-400 mt-1">{uploadErrors[ind.id]}</p>}
+                                </div>
+                                <div className="flex items-center space-x-3 mt-2 sm:mt-0">
+                                    <label className="flex items-center cursor-pointer text-cyan-400 hover:text-cyan-300">
+                                        <Upload className="h-4 w-4 mr-1" />Upload
+                                        <input type="file" accept=".csv,.json,text/csv,application/json" className="hidden" onChange={(e) => { handleFile(ind, e.target.files[0]); e.target.value = ''; }} />
+                                    </label>
+                                    {upload && (
+                                        <button onClick={() => clearUpload(ind)} className="flex items-center text-gray-500 hover:text-red-400">
+                                            <X className="h-4 w-4 mr-1" />Clear
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default DataSourcePanel;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Clock } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent, Badge } from './ui';
+import { STANCES, STALE_AFTER_DAYS, isStale } from '../commentary';
+import { formatDate } from '../core/dates';
+
+const FILTERS = [{ id: 'all', label: 'All' }, ...Object.entries(STANCES).map(([id, s]) => ({ id, label: s.label }))];
+
+const CommentaryCard = ({ entry, referenceDate, currentScore }) => {
+    const stance = STANCES[entry.stance];
+    const stale = isStale(entry, referenceDate);
+    return (
+        <Card className={stale ? 'opacity-70' : ''}>
+            <CardHeader>
+                <CardTitle className="text-base">{entry.author}</CardTitle>
+                <p className="text-xs text-gray-500">{entry.affiliation}</p>
+            </CardHeader>
+            <CardContent>
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                    <Badge className={`${stance.color} bg-gray-700`}>{entry.label || stance.label}</Badge>
+                    {entry.date ? <span className="text-xs text-gray-500">{formatDate(entry.date)}</span> : (
+                        <span title="No publication date on record; it may not reflect current conditions.">
+                            <Badge className="bg-gray-900 text-gray-400 border border-gray-600">Undated</Badge>
+                        </span>
+                    )}
+                    {stale && (
+                        <span title={`Published more than ${STALE_AFTER_DAYS} days ago; conditions may have changed.`}>
+                            <Badge className="flex items-center bg-gray-900 text-gray-400 border border-gray-600"><Clock className="h-3 w-3 mr-1" />Stale</Badge>
+                        </span>
+                    )}
+                </div>
+                {entry.text.split(/\n\s*\n/).map((paragraph, i) => <p key={i} className="text-sm text-gray-400 mt-2 first:mt-0">{paragraph}</p>)}
+                {entry.hemi !== undefined && (
+                    <p className="text-xs text-gray-500 mt-3">HEMI {entry.hemi.toFixed(1)} when written · {currentScore.toFixed(1)} as of {formatDate(referenceDate)}</p>
+                )}
+            </CardContent>
+        </Card>
+    );
+};
+
+// `entries` are already narrowed to the selected stance, the same ones marked on the history chart.
+const ExpertCommentary = ({ entries, stanceFilter, onStanceFilterChange, referenceDate, currentScore }) => (
+    <section>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <div>
+                <h2 className="text-2xl font-semibold text-white">Expert Opinions & Forecasts</h2>
+                <p className="text-sm text-gray-400 mt-1">Newest first. Dated calls inside the loaded window are also marked on the HEMI history above.</p>
+            </div>
+            <div className="flex space-x-1 text-sm">
+                {FILTERS.map(f => (
+                    <button key={f.id} onClick={() => onStanceFilterChange(f.id)} className={`px-3 py-1 rounded-md ${stanceFilter === f.id ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{f.label}</button>
+                ))}
+            </div>
+        </div>
+        {entries.length === 0 ? (
+            <p className="text-sm text-gray-500">No {stanceFilter === 'all' ? '' : `${STANCES[stanceFilter].label.toLowerCase()} `}commentary published by {formatDate(referenceDate)}.</p>
+        ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {entries.map(entry => <CommentaryCard key={entry.id} entry={entry} referenceDate={referenceDate} currentScore={currentScore} />)}
+            </div>
+        )}
+    </section>
+);
+
+export default ExpertCommentary;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Download, Link, Check } from 'lucide-react';
+import { downloadFile, buildHistoryCsv, buildExportJson } from '../exporting';
+
+const ExportControls = ({ view, permalink, indicatorData, hemiScore, hemiHistory, hasUploads }) => {
+    const [copied, setCopied] = React.useState(false);
+    const fileName = `hemi-${hemiHistory.length ? hemiHistory[hemiHistory.length - 1].date : 'export'}`;
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(permalink);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (err) {
+            // The address bar always holds the same link, so it can still be copied by hand.
+            console.error("Could not copy link:", err);
+        }
+    };
+
+    const buttonClass = 'flex items-center px-3 py-1 rounded-md text-gray-300 bg-gray-700 hover:bg-gray-600';
+    return (
+        <div className="flex flex-wrap justify-center items-center gap-2 mt-4 text-sm">
+            <button onClick={() => downloadFile(buildHistoryCsv(indicatorData, hemiHistory), `${fileName}.csv`, 'text/csv')} disabled={!indicatorData} className={buttonClass}>
+                <Download className="h-4 w-4 mr-1" />CSV
+            </button>
+            <button onClick={() => downloadFile(buildExportJson({ view, indicatorData, hemiScore, hemiHistory }), `${fileName}.json`, 'application/json')} disabled={!indicatorData} className={buttonClass}>
+                <Download className="h-4 w-4 mr-1" />JSON
+            </button>
+            <button onClick={copyLink} className={buttonClass}>
+                {copied ? <Check className="h-4 w-4 mr-1 text-green-400" /> : <Link className="h-4 w-4 mr-1" />}{copied ? 'Link copied' : 'Copy link'}
+            </button>
+            {hasUploads && <span className="text-xs text-gray-500">Uploaded files stay on this device and are not part of the link.</span>}
+        </div>
+    );
+};
+
+export default ExportControls;
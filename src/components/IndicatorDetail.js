@@ -0,0 +1,179 @@
+import React from 'react';
+import { ResponsiveContainer, ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, ReferenceLine, Brush, Tooltip as RechartsTooltip } from 'recharts';
+import { ArrowLeft, TrendingUp, TrendingDown, Minus } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui';
+import ChartExportButtons from './ChartExportButtons';
+import { formatValue } from '../core/indicators';
+import { MOVING_AVERAGES, RANGE_PRESETS, movingAverage, yearOverYear, getRangeStart } from '../overlays';
+import { DASHBOARD_HREF } from '../routing';
+import { formatDate } from '../core/dates';
+
+const TOOLTIP_STYLE = { backgroundColor: 'rgba(20, 20, 30, 0.8)', borderColor: '#4A5568', color: '#E2E8F0' };
+const TICK_STYLE = { fill: '#9CA3AF', fontSize: 12 };
+
+// Shared frame for the smaller charts below the main one.
+const ChartCard = ({ title, description, exportName, children }) => {
+    const chartRef = React.useRef(null);
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-start justify-between">
+                <div>
+                    <CardTitle className="text-base">{title}</CardTitle>
+                    <p className="text-xs text-gray-500 mt-1">{description}</p>
+                </div>
+                <ChartExportButtons targetRef={chartRef} fileName={exportName} />
+            </CardHeader>
+            <CardContent>
+                <div ref={chartRef} style={{ width: '100%', height: 220 }}>
+                    <ResponsiveContainer>{children}</ResponsiveContainer>
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+const IndicatorDetail = ({ indicator, data, hemiHistory, weight }) => {
+    const [range, setRange] = React.useState('1y');
+    const [averages, setAverages] = React.useState(['ma50']);
+    const mainChartRef = React.useRef(null);
+
+    React.useEffect(() => {
+        window.scrollTo(0, 0);
+    }, [indicator.id]);
+
+    const { history, scoreHistory } = data;
+    const rangeStart = getRangeStart(range, history[history.length - 1].date);
+    const inRange = React.useCallback((d) => !rangeStart || d.date >= rangeStart, [rangeStart]);
+
+    // Overlays are computed over the full history so they are already warmed up at the range start.
+    const chartData = React.useMemo(() => {
+        const overlays = MOVING_AVERAGES.map(ma => new Map(movingAverage(history, ma.days).map(d => [d.date, d.value])));
+        return history.filter(inRange).map(d => ({
+            ...d,
+            ...Object.fromEntries(MOVING_AVERAGES.map((ma, i) => [ma.id, overlays[i].get(d.date)])),
+        }));
+    }, [history, inRange]);
+    // Rates such as the yield curve spread change in points; everything else in percent.
+    const yoyInPoints = indicator.format === 'percent';
+    const yoyData = React.useMemo(() => yearOverYear(history, yoyInPoints).filter(inRange), [history, yoyInPoints, inRange]);
+    const scoreData = React.useMemo(() => scoreHistory.filter(inRange), [scoreHistory, inRange]);
+    const contributionData = React.useMemo(
+        () => hemiHistory.filter(inRange).map(p => ({ date: p.date, contribution: p[indicator.id] * weight, hemi: p.hemi })),
+        [hemiHistory, inRange, indicator.id, weight]
+    );
+
+    const toggleAverage = (id) => setAverages(prev => (prev.includes(id) ? prev.filter(a => a !== id) : [...prev, id]));
+    const format = (value) => formatValue(value, indicator.format);
+    const isImproving = indicator.inverted ? data.recentChange < 0 : data.recentChange > 0;
+    const TrendIcon = data.recentChange === 0 ? Minus : data.recentChange > 0 ? TrendingUp : TrendingDown;
+    const latestHemi = hemiHistory[hemiHistory.length - 1];
+    const contribution = data.score * weight;
+
+    return (
+        <div className="space-y-8">
+            <a href={DASHBOARD_HREF} className="inline-flex items-center text-sm text-cyan-400 hover:text-cyan-300">
+                <ArrowLeft className="h-4 w-4 mr-1" />Back to dashboard
+            </a>
+
+            <Card>
+                <CardHeader>
+                    <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+                        <div>
+                            <CardTitle>{indicator.label}</CardTitle>
+                            <p className="text-sm text-gray-400 mt-1 max-w-2xl">{indicator.tooltip}</p>
+                        </div>
+                        <div className="flex gap-8 text-sm">
+                            <div>
+                                <p className="text-gray-500">Latest</p>
+                                <p className="text-2xl font-bold text-white">{format(data.currentValue)}</p>
+                                <p className={`flex items-center text-xs ${data.recentChange === 0 ? 'text-gray-400' : isImproving ? 'text-green-400' : 'text-red-400'}`}>
+                                    <TrendIcon className="h-4 w-4 mr-1" />{format(data.recentChange)}
+                                </p>
+                            </div>
+                            <div>
+                                <p className="text-gray-500">Score</p>
+                                <p className="text-2xl font-bold text-white">{data.score.toFixed(1)}</p>
+                                <p className="text-xs text-gray-500">observed {formatDate(data.observationDate)}</p>
+                            </div>
+                            <div>
+                                <p className="text-gray-500">HEMI contribution</p>
+                                <p className="text-2xl font-bold text-white">{contribution.toFixed(1)}</p>
+                                <p className="text-xs text-gray-500">
+                                    weight {(weight * 100).toFixed(0)}%{latestHemi && latestHemi.hemi ? ` · ${((contribution / latestHemi.hemi) * 100).toFixed(0)}% of the HEMI` : ''}
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+                </CardHeader>
+                <CardContent>
+                    <div className="flex flex-wrap items-center justify-between gap-4 mb-4 text-sm">
+                        <div className="flex space-x-1">
+                            {RANGE_PRESETS.map(p => (
+                                <button key={p.id} onClick={() => setRange(p.id)} className={`px-3 py-1 rounded-md ${range === p.id ? 'bg-cyan-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>{p.label}</button>
+                            ))}
+                        </div>
+                        <div className="flex items-center space-x-4">
+                            {MOVING_AVERAGES.map(ma => (
+                                <label key={ma.id} className="flex items-center text-gray-400">
+                                    <input type="checkbox" checked={averages.includes(ma.id)} onChange={() => toggleAverage(ma.id)} className="mr-2" style={{ accentColor: ma.color }} />
+                                    {ma.label}
+                                </label>
+                            ))}
+                            <ChartExportButtons targetRef={mainChartRef} fileName={`hemi-${indicator.id}-detail`} />
+                        </div>
+                    </div>
+                    <div ref={mainChartRef} style={{ width: '100%', height: 360 }}>
+                        <ResponsiveContainer>
+                            <ComposedChart data={chartData} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                                <CartesianGrid stroke="#374151" strokeDasharray="3 3" vertical={false} />
+                                <XAxis dataKey="date" tick={TICK_STYLE} minTickGap={40} tickFormatter={formatDate} />
+                                <YAxis domain={['auto', 'auto']} tick={TICK_STYLE} tickFormatter={format} width={80} />
+                                <RechartsTooltip contentStyle={TOOLTIP_STYLE} labelFormatter={formatDate} formatter={(value, name) => [format(value), name]} />
+                                <Line type="monotone" dataKey="value" name={indicator.shortLabel} stroke="#22D3EE" strokeWidth={2} dot={false} isAnimationActive={false} />
+                                {MOVING_AVERAGES.filter(ma => averages.includes(ma.id)).map(ma => (
+                                    <Line key={ma.id} type="monotone" dataKey={ma.id} name={ma.label} stroke={ma.color} strokeWidth={1.5} dot={false} isAnimationActive={false} connectNulls />
+                                ))}
+                                <Brush key={range} dataKey="date" height={24} stroke="#22D3EE" fill="#1F2937" travellerWidth={8} tickFormatter={formatDate} />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    </div>
+                </CardContent>
+            </Card>
+
+            <section className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <ChartCard title="Year-over-Year Change" description={yoyInPoints ? 'Change from a year earlier, in percentage points.' : 'Change from a year earlier, in percent.'} exportName={`hemi-${indicator.id}-yoy`}>
+                    <ComposedChart data={yoyData} margin={{ top: 10, right: 10, left: -10, bottom: 0 }}>
+                        <CartesianGrid stroke="#374151" strokeDasharray="3 3" vertical={false} />
+                        <XAxis dataKey="date" tick={TICK_STYLE} minTickGap={40} tickFormatter={formatDate} />
+                        <YAxis tick={TICK_STYLE} tickFormatter={(v) => v.toFixed(yoyInPoints ? 2 : 0)} />
+                        <ReferenceLine y={0} stroke="#6B7280" />
+                        <RechartsTooltip contentStyle={TOOLTIP_STYLE} labelFormatter={formatDate} formatter={(value) => [`${value >= 0 ? '+' : ''}${value.toFixed(2)}${yoyInPoints ? ' pts' : '%'}`, 'YoY']} />
+                        <Line type="monotone" dataKey="value" stroke="#E5E7EB" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                    </ComposedChart>
+                </ChartCard>
+                <ChartCard title="Rolling Score" description={`The ${indicator.shortLabel} score on each date against its trailing lookback window.`} exportName={`hemi-${indicator.id}-score`}>
+                    <ComposedChart data={scoreData} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                        <CartesianGrid stroke="#374151" strokeDasharray="3 3" vertical={false} />
+                        <XAxis dataKey="date" tick={TICK_STYLE} minTickGap={40} tickFormatter={formatDate} />
+                        <YAxis domain={[0, 100]} tick={TICK_STYLE} />
+                        <ReferenceLine y={50} stroke="#6B7280" strokeDasharray="3 3" />
+                        <RechartsTooltip contentStyle={TOOLTIP_STYLE} labelFormatter={formatDate} formatter={(value) => [value.toFixed(1), 'Score']} />
+                        <Area type="monotone" dataKey="score" stroke="#22D3EE" fill="#22D3EE" fillOpacity={0.15} isAnimationActive={false} />
+                    </ComposedChart>
+                </ChartCard>
+                <ChartCard title="Weighted Contribution" description={`Score × ${(weight * 100).toFixed(0)}% weight: the points ${indicator.shortLabel} adds to the HEMI.`} exportName={`hemi-${indicator.id}-contribution`}>
+                    <ComposedChart data={contributionData} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                        <CartesianGrid stroke="#374151" strokeDasharray="3 3" vertical={false} />
+                        <XAxis dataKey="date" tick={TICK_STYLE} minTickGap={40} tickFormatter={formatDate} />
+                        <YAxis domain={[0, 100]} tick={TICK_STYLE} />
+                        <RechartsTooltip contentStyle={TOOLTIP_STYLE} labelFormatter={formatDate} formatter={(value, name) => [value.toFixed(1), name]} />
+                        <Area type="monotone" dataKey="contribution" name="Contribution" stroke="#4ADE80" fill="#4ADE80" fillOpacity={0.2} isAnimationActive={false} />
+                        <Line type="monotone" dataKey="hemi" name="HEMI" stroke="#E5E7EB" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+                    </ComposedChart>
+                </ChartCard>
+            </section>
+        </div>
+    );
+};
+
+export default IndicatorDetail;
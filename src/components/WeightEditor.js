@@ -0,0 +1,85 @@
+import React from 'react';
+import { Save, RotateCcw, Trash2 } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from './ui';
+import { INDICATORS } from '../core/indicators';
+import { getHemiStatus } from '../core/hemi';
+import { rebalanceWeights } from '../core/weighting';
+import { loadScenarios, saveScenario, deleteScenario } from '../weights';
+
+const ScoreSummary = ({ label, score }) => {
+    const status = getHemiStatus(score);
+    return (
+        <div className="bg-gray-900 rounded-md p-3 flex-1">
+            <p className="text-xs text-gray-500">{label}</p>
+            <p className="text-2xl font-bold text-white">{score.toFixed(1)}</p>
+            <p className={`text-sm font-semibold ${status.color}`}>{status.text}</p>
+        </div>
+    );
+};
+
+const WeightEditor = ({ weights, defaultWeights, onChange, score, defaultScore }) => {
+    const [scenarios, setScenarios] = React.useState(loadScenarios);
+    const [scenarioName, setScenarioName] = React.useState('');
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const name = scenarioName.trim();
+        if (!name) return;
+        setScenarios(saveScenario(name, weights));
+        setScenarioName('');
+    };
+
+    const delta = score - defaultScore;
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-center justify-between">
+                <div>
+                    <CardTitle>Weight Scenarios</CardTitle>
+                    <p className="text-sm text-gray-400 mt-1">Adjust a component and the others rescale so the weights always sum to 100%.</p>
+                </div>
+                <button onClick={() => onChange(defaultWeights)} className="flex items-center text-sm text-gray-400 hover:text-white">
+                    <RotateCcw className="h-4 w-4 mr-1" />Reset
+                </button>
+            </CardHeader>
+            <CardContent className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2 space-y-4">
+                    {INDICATORS.map(ind => (
+                        <div key={ind.id}>
+                            <div className="flex justify-between text-sm mb-1">
+                                <label htmlFor={`weight-${ind.id}`} className="text-gray-300">{ind.shortLabel}</label>
+                                <span className="font-mono text-gray-400">
+                                    {(weights[ind.id] * 100).toFixed(0)}%
+                                    <span className="text-gray-600 ml-2">default {(defaultWeights[ind.id] * 100).toFixed(0)}%</span>
+                                </span>
+                            </div>
+                            <input id={`weight-${ind.id}`} type="range" min="0" max="1" step="0.01" value={weights[ind.id]} onChange={(e) => onChange(rebalanceWeights(weights, ind.id, parseFloat(e.target.value)))} className="w-full accent-cyan-500" />
+                        </div>
+                    ))}
+                </div>
+                <div className="space-y-4">
+                    <div className="flex space-x-3">
+                        <ScoreSummary label="Custom HEMI" score={score} />
+                        <ScoreSummary label="Default HEMI" score={defaultScore} />
+                    </div>
+                    <p className="text-xs text-gray-500">Difference: <span className={delta >= 0 ? 'text-green-400' : 'text-red-400'}>{delta >= 0 ? '+' : ''}{delta.toFixed(1)}</span></p>
+                    <form onSubmit={handleSave} className="flex space-x-2">
+                        <input value={scenarioName} onChange={(e) => setScenarioName(e.target.value)} placeholder="Scenario name" className="flex-1 bg-gray-900 border border-gray-700 rounded-md px-3 py-1 text-sm text-gray-200" />
+                        <button type="submit" className="flex items-center text-sm bg-cyan-600 hover:bg-cyan-500 text-white rounded-md px-3 py-1"><Save className="h-4 w-4 mr-1" />Save</button>
+                    </form>
+                    <ul className="space-y-2 text-sm">
+                        {scenarios.map(s => (
+                            <li key={s.name} className="flex items-center justify-between">
+                                <button onClick={() => onChange(s.weights)} className="text-cyan-400 hover:underline text-left">{s.name}</button>
+                                <button onClick={() => setScenarios(deleteScenario(s.name))} aria-label={`Delete ${s.name}`} className="text-gray-500 hover:text-red-400"><Trash2 className="h-4 w-4" /></button>
+                            </li>
+                        ))}
+                        {scenarios.length === 0 && <li className="text-gray-500">No saved scenarios yet.</li>}
+                    </ul>
+                </div>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default WeightEditor;
@@ -0,0 +1,18 @@
+import React from 'react';
+
+// Shadcn UI Component Stubs (as we can't import them directly)
+export const Card = ({ children, className = '' }) => <div className={`bg-gray-800 border border-gray-700 rounded-lg shadow-lg p-6 ${className}`}>{children}</div>;
+export const CardHeader = ({ children, className = '' }) => <div className={`mb-4 ${className}`}>{children}</div>;
+export const CardTitle = ({ children, className = '' }) => <h3 className={`text-lg font-semibold text-gray-200 ${className}`}>{children}</h3>;
+export const CardContent = ({ children, className = '' }) => <div className={className}>{children}</div>;
+export const TooltipProvider = ({ children }) => <div>{children}</div>;
+export const Tooltip = ({ children, content }) => (
+  <div className="relative group">
+    {children}
+    <div className="absolute bottom-full mb-2 hidden group-hover:block w-64 bg-gray-900 text-white text-xs rounded py-2 px-3 border border-gray-700 z-10">
+      {content}
+    </div>
+  </div>
+);
+export const TooltipTrigger = ({ children }) => <div>{children}</div>;
+export const Badge = ({ children, className = '' }) => <span className={`px-2 py-1 text-xs font-medium rounded-full ${className}`}>{children}</span>;
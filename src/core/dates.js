@@ -0,0 +1,23 @@
+// --- Date Helpers ---
+// Series dates are 'YYYY-MM-DD' strings. Arithmetic is done in UTC so a date never shifts by a
+// day depending on the viewer's timezone.
+
+const DAY_MS = 86400000;
+
+export const toDateString = (date) => date.toISOString().split('T')[0];
+
+// A real calendar date written as 'YYYY-MM-DD' ('2026-02-30' is not, though Date would roll it over).
+export const isValidDate = (dateString) => /^\d{4}-\d{2}-\d{2}$/.test(dateString)
+    && !isNaN(Date.parse(dateString)) && toDateString(new Date(dateString)) === dateString;
+
+export const addDays = (dateString, days) => toDateString(new Date(new Date(dateString).getTime() + days * DAY_MS));
+
+export const addMonths = (dateString, months) => {
+    const d = new Date(dateString);
+    d.setUTCMonth(d.getUTCMonth() + months);
+    return toDateString(d);
+};
+
+export const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS);
+
+export const formatDate = (dateString) => new Date(dateString).toLocaleDateString(undefined, { timeZone: 'UTC' });
@@ -0,0 +1,77 @@
+import { INDICATORS } from './indicators.js';
+import { addDays, daysBetween, toDateString } from './dates.js';
+import { getReleaseDate, truncateSeries } from './resampling.js';
+
+// --- Data Health ---
+// Sanity checks on each loaded series, shown as a badge on its card. Only a component without
+// usable data (a failed fetch with nothing cached, or too few observations) is left out of the
+// composite; the other problems are warnings about how far to trust its score.
+
+export const HEALTH_STATUSES = {
+    ok: { label: 'OK', badge: 'bg-green-900/40 text-green-300 border border-green-800' },
+    stale: { label: 'Stale', badge: 'bg-yellow-900/50 text-yellow-300 border border-yellow-700' },
+    gap: { label: 'Gap', badge: 'bg-orange-900/50 text-orange-300 border border-orange-700' },
+    outlier: { label: 'Outlier', badge: 'bg-purple-900/50 text-purple-300 border border-purple-700' },
+    failed: { label: 'Fetch failed', badge: 'bg-red-900/50 text-red-300 border border-red-700' },
+};
+
+// Gaps and jumps are only looked for in the most recent year; older problems no longer move the score.
+const HEALTH_WINDOW_DAYS = 365;
+// The latest change is an outlier when it is this many standard deviations away from the window's
+// typical change, and there are enough changes to judge that.
+const OUTLIER_SIGMAS = 6;
+const MIN_CHANGES = 20;
+
+const findOutlier = (recent) => {
+    const changes = recent.slice(1).map((point, i) => point.value - recent[i].value);
+    if (changes.length < MIN_CHANGES) return null;
+    const latest = changes[changes.length - 1];
+    const earlier = changes.slice(0, -1);
+    const mean = earlier.reduce((sum, c) => sum + c, 0) / earlier.length;
+    const sd = Math.sqrt(earlier.reduce((sum, c) => sum + (c - mean) ** 2, 0) / earlier.length);
+    if (sd === 0 || Math.abs(latest - mean) <= OUTLIER_SIGMAS * sd) return null;
+    return { change: latest, sigmas: Math.abs(latest - mean) / sd };
+};
+
+// Checks an ascending `{ date, value }` series against its indicator's publishing schedule as of
+// `referenceDate`. Returns the most serious problem found as `{ status, message }`:
+//   stale    the latest observation was published more than maxFillDays ago, so it is no longer
+//            carried forward (see resampling.js)
+//   gap      consecutive observations in the last year are further apart than maxFillDays
+//   outlier  the latest change is far outside the last year's typical change
+export const checkSeriesHealth = (series, indicator, referenceDate) => {
+    if (!series || series.length < 2) return { status: 'gap', message: 'Fewer than two observations available.' };
+
+    const latest = series[series.length - 1];
+    const releaseDate = getReleaseDate(latest.date, indicator);
+    const age = daysBetween(releaseDate, referenceDate);
+    if (age > indicator.maxFillDays) {
+        return { status: 'stale', message: `Last published ${releaseDate}, ${age} days ago; expected at least every ${indicator.maxFillDays} days.` };
+    }
+
+    const windowStart = addDays(referenceDate, -HEALTH_WINDOW_DAYS);
+    const recent = series.filter(d => d.date >= windowStart);
+    for (let i = recent.length - 1; i > 0; i--) {
+        if (daysBetween(recent[i - 1].date, recent[i].date) > indicator.maxFillDays) {
+            return { status: 'gap', message: `No observations between ${recent[i - 1].date} and ${recent[i].date}.` };
+        }
+    }
+
+    const outlier = findOutlier(recent);
+    if (outlier) {
+        return { status: 'outlier', message: `Latest change of ${outlier.change.toFixed(2)} is ${outlier.sigmas.toFixed(1)} standard deviations from the past year's typical move.` };
+    }
+
+    return { status: 'ok', message: `Last observation ${latest.date}, published ${releaseDate}.` };
+};
+
+// Health of every indicator. `failures` maps indicator id to the error message of a failed
+// fetch; a series still present for it is an older cached copy standing in.
+export const getSeriesHealth = (seriesById, { asOfDate = null, failures = {}, today = toDateString(new Date()) } = {}) => Object.fromEntries(INDICATORS.map(ind => {
+    const series = seriesById[ind.id];
+    if (failures[ind.id]) {
+        return [ind.id, { status: 'failed', message: series ? `${failures[ind.id]} Showing the last cached copy.` : failures[ind.id] }];
+    }
+    const visible = series && asOfDate ? truncateSeries(series, ind, asOfDate) : series;
+    return [ind.id, checkSeriesHealth(visible, ind, asOfDate || today)];
+}));
@@ -0,0 +1,61 @@
+import { INDICATORS } from './indicators.js';
+import { checkSeriesHealth, getSeriesHealth } from './health.js';
+
+const indicator = { id: 'rates', publicationLagDays: 1, maxFillDays: 5 };
+
+// Daily observations up to `end` that wobble between 1.0 and 1.1.
+const dailySeries = (end, days = 120) => Array.from({ length: days }, (_, i) => ({
+    date: new Date(Date.parse(end) - (days - 1 - i) * 86400000).toISOString().slice(0, 10),
+    value: 1 + (i % 2) * 0.1,
+}));
+
+describe('checkSeriesHealth', () => {
+    test('is ok for a fresh, regular series', () => {
+        expect(checkSeriesHealth(dailySeries('2024-06-30'), indicator, '2024-07-02')).toEqual({
+            status: 'ok',
+            message: 'Last observation 2024-06-30, published 2024-07-01.',
+        });
+    });
+
+    test('flags a series whose last release is older than its fill window', () => {
+        const health = checkSeriesHealth(dailySeries('2024-06-30'), indicator, '2024-07-08');
+        expect(health.status).toBe('stale');
+        expect(health.message).toContain('7 days ago');
+    });
+
+    test('flags gaps in the last year', () => {
+        const series = dailySeries('2024-06-30').filter(d => d.date < '2024-05-01' || d.date > '2024-05-10');
+        expect(checkSeriesHealth(series, indicator, '2024-07-01')).toEqual({
+            status: 'gap',
+            message: 'No observations between 2024-04-30 and 2024-05-11.',
+        });
+    });
+
+    test('flags a latest jump far outside the usual changes', () => {
+        const series = dailySeries('2024-06-30');
+        series[series.length - 1] = { ...series[series.length - 1], value: 5 };
+        expect(checkSeriesHealth(series, indicator, '2024-07-01').status).toBe('outlier');
+    });
+
+    test('needs at least two observations', () => {
+        expect(checkSeriesHealth([{ date: '2024-06-30', value: 1 }], indicator, '2024-07-01').status).toBe('gap');
+    });
+});
+
+describe('getSeriesHealth', () => {
+    const seriesById = Object.fromEntries(INDICATORS.map(ind => [ind.id, dailySeries('2024-06-30')]));
+
+    test('reports failed fetches, noting a cached copy standing in', () => {
+        const [failed, cached] = INDICATORS.map(ind => ind.id);
+        const { [failed]: _, ...loaded } = seriesById;
+        const health = getSeriesHealth(loaded, { today: '2024-07-02', failures: { [failed]: 'Status 500.', [cached]: 'Status 401.' } });
+        expect(health[failed]).toEqual({ status: 'failed', message: 'Status 500.' });
+        expect(health[cached]).toEqual({ status: 'failed', message: 'Status 401. Showing the last cached copy.' });
+    });
+
+    test('judges freshness as of the as-of date', () => {
+        const health = getSeriesHealth(seriesById, { asOfDate: '2024-06-01', today: '2025-01-01' });
+        INDICATORS.forEach(ind => expect(health[ind.id].status).toBe('ok'));
+        expect(getSeriesHealth(seriesById, { today: '2025-01-01' })[INDICATORS[0].id].status).toBe('stale');
+    });
+});
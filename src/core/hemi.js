@@ -0,0 +1,210 @@
+import { INDICATORS } from './indicators.js';
+import { scoreSeriesHistory, DEFAULT_SCORING } from './scoring.js';
+import { alignSeries, buildCalendar, truncateSeries, DEFAULT_FREQUENCY } from './resampling.js';
+import { renormalizeWeights } from './weighting.js';
+
+// --- HEMI Scoring ---
+
+// Status bands used by the gauge, the summary and the history chart. Bounds are [min, max).
+export const HEMI_REGIMES = [
+    { min: 0, max: 25, text: "High Recession Risk", color: "text-red-400", fill: "#F87171", expansion: false },
+    { min: 25, max: 45, text: "Economic Slowdown", color: "text-yellow-400", fill: "#FBBF24", expansion: false },
+    { min: 45, max: 65, text: "Moderate Expansion", color: "text-cyan-400", fill: "#22D3EE", expansion: true },
+    { min: 65, max: 100, text: "Strong Expansion", color: "text-green-400", fill: "#4ADE80", expansion: true },
+];
+
+// Lower bounds of every band but the first, i.e. the cut-offs between regimes.
+export const DEFAULT_THRESHOLDS = HEMI_REGIMES.slice(1).map(r => r.min);
+
+// The status bands with their cut-offs moved to ascending `thresholds` (one per boundary).
+export const getRegimes = (thresholds) => HEMI_REGIMES.map((r, i) => ({
+    ...r,
+    min: i === 0 ? 0 : thresholds[i - 1],
+    max: i === HEMI_REGIMES.length - 1 ? 100 : thresholds[i],
+}));
+
+export const getHemiStatus = (score, regimes = HEMI_REGIMES) => {
+    const regime = regimes.find(r => score < r.max) || regimes[regimes.length - 1];
+    return { text: regime.text, color: regime.color, expansion: regime.expansion };
+};
+
+// Summarizes a normalized `{ date, value }` series for the cards. Every observation is scored
+// against the trailing lookback window of the series' own observations (see scoring.js), and those
+// scores are then carried onto the shared calendar like the values (see resampling.js), so a weekly
+// reading isn't counted once per calendar day and the calendar frequency doesn't change the score.
+// `score` is the latest of those. The value, its change since the previous observation and the
+// observation/release dates describe what that latest score is based on.
+// A series with no usable value on the last calendar date (its data is past the fill limit, see
+// resampling.js) is treated like a missing one rather than scored on an out-of-date reading.
+export const processSeries = (series, indicator, scoring, calendar) => {
+    if (!series || series.length < 2) throw new Error(`${indicator.label} needs at least two observations.`);
+    const aligned = alignSeries(series, indicator, calendar);
+    // The first observation has nothing to be compared with, so calendar dates it covers get no score.
+    const scores = new Map(scoreSeriesHistory(series, scoring, indicator.inverted).map(d => [d.date, d.score]));
+    const scoreHistory = aligned
+        .filter(point => scores.has(point.observationDate))
+        .map(point => ({ date: point.date, value: point.value, score: scores.get(point.observationDate) }));
+    if (scoreHistory.length === 0) throw new Error(`${indicator.label} needs at least two observations.`);
+    const latest = aligned[aligned.length - 1];
+    if (latest.date !== calendar[calendar.length - 1]) {
+        throw new Error(`${indicator.label} has no usable observation on ${calendar[calendar.length - 1]}; its latest was published ${latest.releaseDate}.`);
+    }
+    const previous = series[series.findIndex(d => d.date === latest.observationDate) - 1];
+
+    return {
+        currentValue: latest.value,
+        recentChange: previous ? latest.value - previous.value : 0,
+        score: scoreHistory[scoreHistory.length - 1].score,
+        observationDate: latest.observationDate,
+        releaseDate: latest.releaseDate,
+        scoreHistory,
+        history: series,
+    };
+};
+
+// Weighted sum of component scores. `scores` maps indicator id to a 0-100 score.
+export const calculateHemiScore = (scores, weights) =>
+    INDICATORS.reduce((sum, ind) => sum + (scores[ind.id] || 0) * (weights[ind.id] || 0), 0);
+
+// Combines the component scores into a composite for every calendar date on which all components
+// in `processedData` have a score. The last point matches the current HEMI score.
+export const buildHemiHistory = (processedData, weights) => {
+    const components = INDICATORS.filter(ind => processedData[ind.id]);
+    const series = components.map(ind => processedData[ind.id].scoreHistory);
+    const allDates = [...new Set(series.flatMap(s => s.map(d => d.date)))].sort();
+    const cursors = components.map(() => -1);
+    const history = [];
+
+    allDates.forEach(date => {
+        series.forEach((scores, i) => {
+            while (cursors[i] + 1 < scores.length && scores[cursors[i] + 1].date <= date) cursors[i]++;
+        });
+        // Skip dates where a component has no aligned value (before its history starts or past its fill limit).
+        if (series.some((scores, i) => cursors[i] < 0 || scores[cursors[i]].date !== date)) return;
+
+        const point = { date };
+        components.forEach((ind, i) => {
+            point[ind.id] = series[i][cursors[i]].score;
+        });
+        point.hemi = calculateHemiScore(point, weights);
+        history.push(point);
+    });
+
+    return history;
+};
+
+// Latest history point on or before `date`, or null when the history starts later.
+export const findHistoryPoint = (history, date) => {
+    let found = null;
+    for (const point of history) {
+        if (point.date > date) break;
+        found = point;
+    }
+    return found;
+};
+
+// Splits the HEMI change between two history dates into each component's weighted score change.
+// The contributions add up to the total change because both points use the same weights.
+export const getAttribution = (history, weights, fromDate, toDate) => {
+    const from = findHistoryPoint(history, fromDate) || history[0];
+    const to = findHistoryPoint(history, toDate);
+    if (!from || !to) return null;
+    const fromStatus = getHemiStatus(from.hemi);
+    const toStatus = getHemiStatus(to.hemi);
+    return {
+        from,
+        to,
+        change: to.hemi - from.hemi,
+        contributions: INDICATORS.filter(ind => ind.id in to).map(ind => ({
+            id: ind.id,
+            from: from[ind.id],
+            to: to[ind.id],
+            weight: weights[ind.id] || 0,
+            contribution: (to[ind.id] - from[ind.id]) * (weights[ind.id] || 0),
+        })),
+        fromStatus,
+        toStatus,
+        regimeChanged: fromStatus.text !== toStatus.text,
+    };
+};
+
+// Groups consecutive history points into regime episodes. An episode lasts until the next one starts.
+export const getRegimeEpisodes = (history, regimes = HEMI_REGIMES) => {
+    const episodes = [];
+    history.forEach(point => {
+        const { text } = getHemiStatus(point.hemi, regimes);
+        const current = episodes[episodes.length - 1];
+        if (current && current.text === text) {
+            current.end = point.date;
+        } else {
+            if (current) current.end = point.date;
+            episodes.push({ text, start: point.date, end: point.date });
+        }
+    });
+    return episodes.map(e => ({ ...e, days: Math.round((new Date(e.end) - new Date(e.start)) / 86400000) }));
+};
+
+// Sorts components into those that agree with the composite's direction and those that pull
+// against it. Scores are already oriented so that higher is better for the economy (inverted
+// indicators are flipped when scored), so a score above 50 counts as a positive signal.
+export const classifyComponents = (processedData, score) => {
+    const isExpansion = getHemiStatus(score).expansion;
+    const confirming = [];
+    const contradicting = [];
+    INDICATORS.forEach(ind => {
+        if (!processedData[ind.id]) return;
+        const isPositive = processedData[ind.id].score > 50;
+        (isPositive === isExpansion ? confirming : contradicting).push(ind.id);
+    });
+    return { confirming, contradicting };
+};
+
+// --- Pipeline ---
+// The full path from normalized series to the composite, split in two so the app can re-weight
+// without re-scoring. `seriesById` maps indicator id to an ascending `{ date, value }` series.
+
+// Aligns and scores every component. With `asOfDate`, only data published by then is used.
+// Components without enough data (e.g. a failed download) are left out; it only throws when
+// none can be scored.
+export const scoreComponents = (seriesById, { scoring = DEFAULT_SCORING, frequency = DEFAULT_FREQUENCY, asOfDate = null } = {}) => {
+    const visible = asOfDate
+        ? Object.fromEntries(INDICATORS.map(ind => [ind.id, truncateSeries(seriesById[ind.id] || [], ind, asOfDate)]))
+        : seriesById;
+    const calendar = buildCalendar(INDICATORS, visible, frequency, asOfDate);
+    const components = {};
+    const errors = [];
+    INDICATORS.forEach(ind => {
+        try {
+            components[ind.id] = processSeries(visible[ind.id], ind, scoring, calendar);
+        } catch (err) {
+            errors.push(err);
+        }
+    });
+    if (errors.length === INDICATORS.length) throw errors[0];
+    return components;
+};
+
+// Weights scored components into the composite, its status, history and summary lists. When
+// components are missing, the weights of the others are rescaled to sum to 1 (`weights` in the
+// result) and `partial` is set.
+export const combineComponents = (components, weights) => {
+    const available = INDICATORS.filter(ind => components[ind.id]).map(ind => ind.id);
+    const effectiveWeights = renormalizeWeights(weights, available);
+    const scores = Object.fromEntries(available.map(id => [id, components[id].score]));
+    const score = calculateHemiScore(scores, effectiveWeights);
+    return {
+        scores,
+        score,
+        status: getHemiStatus(score),
+        history: buildHemiHistory(components, effectiveWeights),
+        summary: classifyComponents(components, score),
+        weights: effectiveWeights,
+        available,
+        partial: available.length < INDICATORS.length,
+    };
+};
+
+export const computeHemi = (seriesById, { weights, ...options }) => {
+    const components = scoreComponents(seriesById, options);
+    return { components, ...combineComponents(components, weights) };
+};
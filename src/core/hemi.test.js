@@ -0,0 +1,140 @@
+import { INDICATORS, getDefaultWeights } from './indicators.js';
+import { getHemiStatus, getRegimes, calculateHemiScore, buildHemiHistory, classifyComponents, scoreComponents, combineComponents, computeHemi } from './hemi.js';
+
+// Two years of daily observations that rise steadily, so the latest value is the highest in any window.
+const risingSeries = () => Array.from({ length: 730 }, (_, i) => ({
+    date: new Date(Date.parse('2022-01-01') + i * 86400000).toISOString().slice(0, 10),
+    value: i,
+}));
+const seriesById = Object.fromEntries(INDICATORS.map(ind => [ind.id, risingSeries()]));
+const scoring = { method: 'percentile', lookback: '1y' };
+
+describe('getHemiStatus', () => {
+    test('uses [min, max) bands', () => {
+        expect(getHemiStatus(24.9).text).toBe('High Recession Risk');
+        expect(getHemiStatus(25).text).toBe('Economic Slowdown');
+        expect(getHemiStatus(65)).toMatchObject({ text: 'Strong Expansion', expansion: true });
+        expect(getHemiStatus(100).text).toBe('Strong Expansion');
+    });
+
+    test('accepts custom thresholds', () => {
+        expect(getHemiStatus(30, getRegimes([35, 50, 70])).text).toBe('High Recession Risk');
+    });
+});
+
+describe('calculateHemiScore', () => {
+    test('is the weighted sum of component scores', () => {
+        const [a, b] = INDICATORS.map(ind => ind.id);
+        expect(calculateHemiScore({ [a]: 80, [b]: 40 }, { [a]: 0.25, [b]: 0.75 })).toBe(50);
+    });
+});
+
+describe('classifyComponents', () => {
+    const [a, b] = INDICATORS.map(ind => ind.id);
+
+    test('splits components by whether they agree with the regime', () => {
+        expect(classifyComponents({ [a]: { score: 70 }, [b]: { score: 30 } }, 60)).toEqual({ confirming: [a], contradicting: [b] });
+        expect(classifyComponents({ [a]: { score: 70 }, [b]: { score: 30 } }, 20)).toEqual({ confirming: [b], contradicting: [a] });
+    });
+
+    test('does not flip inverted components a second time', () => {
+        const inverted = INDICATORS.find(ind => ind.inverted).id;
+        // A high score already means the (inverted) reading is good for the economy.
+        expect(classifyComponents({ [inverted]: { score: 90 } }, 70).confirming).toEqual([inverted]);
+    });
+});
+
+describe('pipeline', () => {
+    test('scores every component against its own history', () => {
+        const components = scoreComponents(seriesById, { scoring, frequency: 'weekly', asOfDate: '2023-12-31' });
+        // Rising values are at the top of the window, which is bad news for inverted components.
+        INDICATORS.filter(ind => ind.inverted).forEach(ind => expect(components[ind.id].score).toBeLessThan(5));
+        INDICATORS.filter(ind => !ind.inverted).forEach(ind => expect(components[ind.id].score).toBeGreaterThan(95));
+    });
+
+    test('component scores do not depend on the calendar frequency', () => {
+        // Weekday observations, which a daily calendar carries through every weekend.
+        const weekdays = risingSeries()
+            .filter(d => ![0, 6].includes(new Date(d.date).getUTCDay()))
+            .map((d, i) => ({ date: d.date, value: Math.sin(i / 5) + i / 200 }));
+        const byId = Object.fromEntries(INDICATORS.map(ind => [ind.id, weekdays]));
+        const daily = scoreComponents(byId, { scoring, frequency: 'daily', asOfDate: '2023-12-31' });
+        const weekly = scoreComponents(byId, { scoring, frequency: 'weekly', asOfDate: '2023-12-31' });
+        INDICATORS.forEach(ind => expect(daily[ind.id].score).toBe(weekly[ind.id].score));
+    });
+
+    test('as-of dates only see data published by then', () => {
+        const components = scoreComponents(seriesById, { scoring, asOfDate: '2022-06-30' });
+        INDICATORS.forEach(ind => {
+            expect(components[ind.id].releaseDate <= '2022-06-30').toBe(true);
+        });
+    });
+
+    test('computeHemi matches the composite of its components', () => {
+        const weights = getDefaultWeights();
+        const options = { scoring, frequency: 'weekly', asOfDate: '2023-12-31' };
+        const result = computeHemi(seriesById, { weights, ...options });
+        const expected = combineComponents(scoreComponents(seriesById, options), weights);
+
+        expect(result.score).toBeCloseTo(expected.score, 10);
+        expect(result.score).toBeCloseTo(calculateHemiScore(result.scores, weights), 10);
+        expect(result.status).toEqual(getHemiStatus(result.score));
+        expect(result.history[result.history.length - 1].hemi).toBeCloseTo(result.score, 10);
+        expect([...result.summary.confirming, ...result.summary.contradicting].sort()).toEqual(INDICATORS.map(ind => ind.id).sort());
+    });
+
+    test('history only includes dates where every component has a score', () => {
+        const history = buildHemiHistory(scoreComponents(seriesById, { scoring, frequency: 'weekly', asOfDate: '2023-12-31' }), getDefaultWeights());
+        history.forEach(point => INDICATORS.forEach(ind => expect(typeof point[ind.id]).toBe('number')));
+    });
+
+});
+
+describe('partial composites', () => {
+    const [missing, ...rest] = INDICATORS;
+    const options = { scoring, frequency: 'weekly', asOfDate: '2023-12-31' };
+
+    test('components without enough data are left out', () => {
+        const components = scoreComponents({ ...seriesById, [missing.id]: [{ date: '2023-01-01', value: 1 }] }, options);
+        expect(Object.keys(components)).toEqual(rest.map(ind => ind.id));
+    });
+
+    test('components whose data stops before the last calendar date are left out', () => {
+        const stale = seriesById[missing.id].filter(d => d.date <= '2023-11-30');
+        const result = computeHemi({ ...seriesById, [missing.id]: stale }, { weights: getDefaultWeights(), ...options });
+        expect(result.available).toEqual(rest.map(ind => ind.id));
+        expect(result.partial).toBe(true);
+        expect(result.history[result.history.length - 1].date).toBe('2023-12-31');
+        expect(result.history[result.history.length - 1].hemi).toBeCloseTo(result.score, 10);
+    });
+
+    test('a single recent observation is left out', () => {
+        // Daily, so the lone value is carried forward onto several calendar dates.
+        const result = computeHemi({ ...seriesById, [missing.id]: [{ date: '2023-12-27', value: 1 }] }, { weights: getDefaultWeights(), ...options, frequency: 'daily' });
+        expect(result.available).toEqual(rest.map(ind => ind.id));
+        expect(result.partial).toBe(true);
+    });
+
+    test('the remaining weights are rescaled to sum to 1', () => {
+        const weights = getDefaultWeights();
+        const { [missing.id]: _, ...available } = seriesById;
+        const result = computeHemi(available, { weights, ...options });
+        const total = rest.reduce((sum, ind) => sum + weights[ind.id], 0);
+
+        expect(result.partial).toBe(true);
+        expect(result.available).toEqual(rest.map(ind => ind.id));
+        expect(result.weights[missing.id]).toBe(0);
+        rest.forEach(ind => expect(result.weights[ind.id]).toBeCloseTo(weights[ind.id] / total, 10));
+        expect(result.score).toBeCloseTo(rest.reduce((sum, ind) => sum + result.scores[ind.id] * result.weights[ind.id], 0), 10);
+        expect(result.history[result.history.length - 1].hemi).toBeCloseTo(result.score, 10);
+        expect(result.history[0]).not.toHaveProperty(missing.id);
+    });
+
+    test('a full set of components is not partial', () => {
+        expect(computeHemi(seriesById, { weights: getDefaultWeights(), ...options }).partial).toBe(false);
+    });
+
+    test('throws when no component can be scored', () => {
+        expect(() => scoreComponents({}, { scoring })).toThrow(`${INDICATORS[0].label} needs at least two observations.`);
+    });
+});
@@ -0,0 +1,24 @@
+// --- HEMI Core ---
+// The fetching-agnostic scoring pipeline shared by the dashboard and the `hemi` command-line tool.
+// Nothing here touches the network, the DOM or browser storage, so it runs unchanged in Node.
+
+export { INDICATORS, RECESSION_INDICATOR, getDefaultWeights, formatValue } from './indicators.js';
+export { isValidDate } from './dates.js';
+export { normalizeSeries, parseSeriesFile } from './series.js';
+export { SCORING_METHODS, LOOKBACKS, DEFAULT_SCORING, MAX_LOOKBACK_YEARS, getScoringMethod, getLookback, scoreAgainst, scoreSeriesHistory } from './scoring.js';
+export { FREQUENCIES, DEFAULT_FREQUENCY, getReleaseDate, truncateSeries, getEarliestAsOfDate, buildCalendar, alignSeries } from './resampling.js';
+export { normalizeWeights, renormalizeWeights, rebalanceWeights } from './weighting.js';
+export { HEALTH_STATUSES, checkSeriesHealth, getSeriesHealth } from './health.js';
+export {
+    HEMI_REGIMES,
+    DEFAULT_THRESHOLDS,
+    getRegimes,
+    getHemiStatus,
+    processSeries,
+    calculateHemiScore,
+    buildHemiHistory,
+    classifyComponents,
+    scoreComponents,
+    combineComponents,
+    computeHemi,
+} from './hemi.js';
@@ -0,0 +1,130 @@
+// --- Indicator Registry ---
+// Every HEMI component is declared here. Fetching, scoring, weights, the card grid, the
+// summary and the Methodology text are all driven from this list, so adding a series
+// (e.g. UNRATE from FRED) only needs a new entry.
+//
+//   id           key used in processed data and component scores
+//   label        card title
+//   shortLabel   name used in the summary lists
+//   formulaLabel name used in the Methodology formula
+//   provider     key into PROVIDERS in providers.js ('fred', 'fmp', 'fixture')
+//   seriesId     FRED series id or FMP symbol
+//   fixture      optional file name under public/fixtures (defaults to `<id>.json`)
+//   cadence      'daily' or 'weekly'; how often the source publishes observations
+//   publicationLagDays  days between an observation's date and when it is published
+//   maxFillDays  how many days a published value may be carried forward (see resampling.js)
+//   inverted     true when a lower value is better for the economy
+//   weight       relative weight in the composite (normalized to sum to 1)
+//   format       'percent', 'number' or 'currency'
+//   tooltip      help text shown on the card
+//   sample       generator for Sample Data mode: value for day i, decimals, and fixed last two values
+
+export const INDICATORS = [
+    {
+        id: 'yieldCurve',
+        label: 'Yield Curve (10Y-2Y)',
+        shortLabel: 'Yield Curve',
+        formulaLabel: 'YieldCurve',
+        provider: 'fred',
+        seriesId: 'T10Y2Y',
+        cadence: 'daily',
+        publicationLagDays: 1,
+        maxFillDays: 5,
+        inverted: false,
+        weight: 0.30,
+        format: 'percent',
+        tooltip: 'Difference between 10-year and 2-year Treasury yields. A positive curve signals expansion; an inverted curve is a recession predictor.',
+        sample: { generate: (i) => 0.3 + Math.sin(i / 20) * 0.15 + (Math.random() - 0.5) * 0.05, decimals: 2, latest: [0.43, 0.45] },
+    },
+    {
+        id: 'joblessClaims',
+        label: 'Initial Jobless Claims',
+        shortLabel: 'Jobless Claims',
+        formulaLabel: 'JoblessClaims',
+        provider: 'fred',
+        seriesId: 'ICSA',
+        cadence: 'weekly',
+        publicationLagDays: 5,
+        maxFillDays: 14,
+        inverted: true,
+        weight: 0.25,
+        format: 'number',
+        tooltip: 'New unemployment filings. Rising claims suggest a weakening labor market. Lower is better.',
+        sample: { generate: (i) => 230000 + Math.cos(i / 15) * 10000 + (Math.random() - 0.5) * 5000, decimals: 0, latest: [233000, 242000] },
+    },
+    {
+        id: 'sp500',
+        label: 'S&P 500 Index',
+        shortLabel: 'S&P 500',
+        formulaLabel: 'SP500',
+        provider: 'fmp',
+        seriesId: '^GSPC',
+        cadence: 'daily',
+        publicationLagDays: 0,
+        maxFillDays: 5,
+        inverted: false,
+        weight: 0.20,
+        format: 'currency',
+        tooltip: 'Tracks 500 large U.S. companies. A rising market reflects investor confidence. Higher is better.',
+        sample: { generate: (i) => 5400 + Math.sin(i / 10) * 80 + i * 1.5 + (Math.random() - 0.5) * 50, decimals: 2, latest: [5525.60, 5510.40] },
+    },
+    {
+        id: 'vix',
+        label: 'VIX (Volatility Index)',
+        shortLabel: 'VIX',
+        formulaLabel: 'VIX',
+        provider: 'fred',
+        seriesId: 'VIXCLS',
+        cadence: 'daily',
+        publicationLagDays: 1,
+        maxFillDays: 5,
+        inverted: true,
+        weight: 0.15,
+        format: 'number',
+        tooltip: "The market's 'fear gauge.' High VIX indicates investor fear. Lower is better.",
+        sample: { generate: (i) => 18 - Math.sin(i / 25) * 3 + (Math.random() - 0.5) * 2, decimals: 2, latest: [18.3, 19.8] },
+    },
+    {
+        id: 'wtiOil',
+        label: 'WTI Crude Oil Price',
+        shortLabel: 'WTI Oil',
+        formulaLabel: 'Oil',
+        provider: 'fmp',
+        seriesId: 'CLUSD',
+        cadence: 'daily',
+        publicationLagDays: 0,
+        maxFillDays: 5,
+        inverted: false,
+        weight: 0.10,
+        format: 'currency',
+        tooltip: 'Price of West Texas Intermediate crude oil. Signals demand but also inflation risk.',
+        sample: { generate: (i) => 82 + Math.cos(i / 30) * 5 + (Math.random() - 0.5) * 3, decimals: 2, latest: [84.75, 85.50] },
+    },
+];
+
+// NBER recession dates (1 in every recession month) for the backtest panel; not a HEMI component.
+export const RECESSION_INDICATOR = {
+    id: 'usrec',
+    label: 'NBER Recession Indicator',
+    provider: 'fred',
+    seriesId: 'USREC',
+    fixture: 'usrec.json',
+    cadence: 'monthly',
+};
+
+// Registry weights scaled to sum to 1, keyed by indicator id.
+export const getDefaultWeights = () => {
+    const total = INDICATORS.reduce((sum, ind) => sum + ind.weight, 0);
+    return Object.fromEntries(INDICATORS.map(ind => [ind.id, total ? ind.weight / total : 0]));
+};
+
+// Formats a reading according to an indicator's `format`.
+export const formatValue = (value, format) => {
+    if (typeof value !== 'number') return 'N/A';
+    switch (format) {
+        case 'currency': return value.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+        case 'percent': return `${value.toFixed(2)}%`;
+        case 'number': return value.toLocaleString();
+        default: return value;
+    }
+};
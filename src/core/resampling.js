@@ -0,0 +1,71 @@
+import { toDateString, addDays, daysBetween } from './dates.js';
+
+// --- Resampling ---
+// The components arrive at different cadences (weekly claims, daily yields with holiday gaps,
+// trading-day closes) and are published with different lags. To be combined, every series (and
+// the scores of its observations) is aligned to one shared calendar using these rules:
+//   1. An observation dated D only becomes usable on D + publicationLagDays.
+//   2. On each calendar date a component takes its latest usable observation (forward fill).
+//   3. A value is carried forward for at most maxFillDays after it was published; beyond that the
+//      component is treated as missing on that date.
+
+export const FREQUENCIES = {
+    daily: { label: 'Daily', stepDays: 1 },
+    weekly: { label: 'Weekly', stepDays: 7 },
+};
+
+export const DEFAULT_FREQUENCY = 'daily';
+
+export const getReleaseDate = (observationDate, indicator) => addDays(observationDate, indicator.publicationLagDays || 0);
+
+// Observations that had been published by `asOfDate`, i.e. what the dashboard could have shown then.
+export const truncateSeries = (series, indicator, asOfDate) => series.filter(d => getReleaseDate(d.date, indicator) <= asOfDate);
+
+// Earliest as-of date on which every component has at least two published observations.
+export const getEarliestAsOfDate = (indicators, seriesById) => indicators
+    .map(ind => (seriesById[ind.id] && seriesById[ind.id].length > 1 ? getReleaseDate(seriesById[ind.id][1].date, ind) : null))
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+// Calendar dates run backwards from the latest release across all components (never later than
+// today, or `asOfDate` when set) in steps of the chosen frequency, so the newest data is always
+// on the calendar.
+export const buildCalendar = (indicators, seriesById, frequency = DEFAULT_FREQUENCY, asOfDate = null) => {
+    const firstReleases = [];
+    const lastReleases = [];
+    indicators.forEach(ind => {
+        const series = seriesById[ind.id];
+        if (!series || series.length === 0) return;
+        firstReleases.push(getReleaseDate(series[0].date, ind));
+        lastReleases.push(getReleaseDate(series[series.length - 1].date, ind));
+    });
+    if (lastReleases.length === 0) return [];
+
+    const latestRelease = lastReleases.sort()[lastReleases.length - 1];
+    const cap = asOfDate || toDateString(new Date());
+    const end = latestRelease < cap ? latestRelease : cap;
+    const start = firstReleases.sort()[0];
+    const step = (FREQUENCIES[frequency] || FREQUENCIES[DEFAULT_FREQUENCY]).stepDays;
+
+    const dates = [];
+    for (let date = end; date >= start; date = addDays(date, -step)) dates.push(date);
+    return dates.reverse();
+};
+
+// Maps an ascending `{ date, value }` series onto the calendar. Each aligned point keeps the date
+// of the observation it came from (`observationDate`) and when that was published (`releaseDate`).
+// Calendar dates with no usable observation under the fill rule are omitted.
+export const alignSeries = (series, indicator, calendar) => {
+    const aligned = [];
+    let cursor = -1;
+    calendar.forEach(date => {
+        while (cursor + 1 < series.length && getReleaseDate(series[cursor + 1].date, indicator) <= date) cursor++;
+        if (cursor < 0) return;
+        const observation = series[cursor];
+        const releaseDate = getReleaseDate(observation.date, indicator);
+        if (daysBetween(releaseDate, date) > indicator.maxFillDays) return;
+        aligned.push({ date, value: observation.value, observationDate: observation.date, releaseDate });
+    });
+    return aligned;
+};
@@ -0,0 +1,59 @@
+import { alignSeries, buildCalendar, truncateSeries, getReleaseDate, getEarliestAsOfDate } from './resampling.js';
+
+const weekly = { id: 'claims', publicationLagDays: 5, maxFillDays: 10 };
+const daily = { id: 'rates', publicationLagDays: 1, maxFillDays: 3 };
+
+describe('publication lags', () => {
+    test('an observation is released after its lag', () => {
+        expect(getReleaseDate('2024-01-06', weekly)).toBe('2024-01-11');
+    });
+
+    test('truncateSeries keeps only what was published by the as-of date', () => {
+        const series = [{ date: '2024-01-06', value: 1 }, { date: '2024-01-13', value: 2 }];
+        expect(truncateSeries(series, weekly, '2024-01-17')).toEqual([series[0]]);
+        expect(truncateSeries(series, weekly, '2024-01-18')).toEqual(series);
+    });
+
+    test('getEarliestAsOfDate waits for every component to have two releases', () => {
+        const seriesById = {
+            claims: [{ date: '2024-01-06', value: 1 }, { date: '2024-01-13', value: 2 }],
+            rates: [{ date: '2024-01-02', value: 1 }, { date: '2024-01-03', value: 2 }],
+        };
+        expect(getEarliestAsOfDate([weekly, daily], seriesById)).toBe('2024-01-18');
+    });
+});
+
+describe('buildCalendar', () => {
+    const seriesById = {
+        claims: [{ date: '2024-01-06', value: 1 }, { date: '2024-01-13', value: 2 }],
+        rates: [{ date: '2024-01-02', value: 1 }, { date: '2024-01-16', value: 2 }],
+    };
+
+    test('runs from the first to the latest release', () => {
+        const calendar = buildCalendar([weekly, daily], seriesById, 'daily');
+        expect(calendar[0]).toBe('2024-01-03');
+        expect(calendar[calendar.length - 1]).toBe('2024-01-18');
+        expect(calendar).toHaveLength(16);
+    });
+
+    test('weekly steps end on the latest release and respect the as-of cap', () => {
+        expect(buildCalendar([weekly, daily], seriesById, 'weekly')).toEqual(['2024-01-04', '2024-01-11', '2024-01-18']);
+        expect(buildCalendar([weekly, daily], seriesById, 'weekly', '2024-01-12')).toEqual(['2024-01-05', '2024-01-12']);
+    });
+
+    test('is empty without data', () => {
+        expect(buildCalendar([weekly], {})).toEqual([]);
+    });
+});
+
+describe('alignSeries', () => {
+    test('forward-fills released values up to maxFillDays', () => {
+        const series = [{ date: '2024-01-01', value: 1 }, { date: '2024-01-02', value: 2 }];
+        const calendar = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-05', '2024-01-07'];
+        expect(alignSeries(series, daily, calendar)).toEqual([
+            { date: '2024-01-02', value: 1, observationDate: '2024-01-01', releaseDate: '2024-01-02' },
+            { date: '2024-01-03', value: 2, observationDate: '2024-01-02', releaseDate: '2024-01-03' },
+            { date: '2024-01-05', value: 2, observationDate: '2024-01-02', releaseDate: '2024-01-03' },
+        ]);
+    });
+});
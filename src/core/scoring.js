@@ -0,0 +1,193 @@
+// --- Scoring ---
+// Turns a component's latest reading into a 0-100 score relative to its own trailing history.
+// Each method maps a value and the window of values it is compared against to [0, 1], either
+// from scratch (`rank`) or from a window that is updated as it slides along a series
+// (`createWindow`), which is what scoring a whole history uses.
+
+// Abramowitz & Stegun 7.1.26; accurate to ~1e-7, plenty for a 0-100 score.
+const erf = (x) => {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return sign * y;
+};
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+// Index of the first element of ascending `sorted` that is >= `value` (or > `value` when `after`).
+const bisect = (sorted, value, after = false) => {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < value || (after && sorted[mid] === value)) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+// Monotonic deque of a sliding window's values; `front()` is the window's maximum when `keeps`
+// is `>=` and its minimum when it is `<=`. Values are tagged with the order they were pushed in.
+const createExtremeTracker = (keeps) => {
+    let items = [];
+    let head = 0;
+    return {
+        push: (index, value) => {
+            while (items.length > head && !keeps(items[items.length - 1].value, value)) items.pop();
+            items.push({ index, value });
+        },
+        // Drops values pushed before `index`.
+        expire: (index) => {
+            while (head < items.length && items[head].index < index) head++;
+            if (head > 1024 && head * 2 > items.length) {
+                items = items.slice(head);
+                head = 0;
+            }
+        },
+        front: () => items[head].value,
+    };
+};
+
+export const SCORING_METHODS = {
+    percentile: {
+        label: 'Percentile rank',
+        description: 'calculating its empirical percentile rank (the share of observations below it, counting ties as half)',
+        rank: (value, values) => {
+            let below = 0;
+            let equal = 0;
+            values.forEach(v => {
+                if (v < value) below++;
+                else if (v === value) equal++;
+            });
+            return (below + equal / 2) / values.length;
+        },
+        // Keeps a sorted copy of the window, so every step is a binary search.
+        createWindow: () => {
+            const sorted = [];
+            return {
+                push: (value) => sorted.splice(bisect(sorted, value), 0, value),
+                shift: (value) => sorted.splice(bisect(sorted, value), 1),
+                rank: (value) => {
+                    const below = bisect(sorted, value);
+                    const equal = bisect(sorted, value, true) - below;
+                    return (below + equal / 2) / sorted.length;
+                },
+            };
+        },
+    },
+    zscore: {
+        label: 'Z-score',
+        description: 'measuring how many standard deviations it sits from the mean and mapping that z-score through the normal distribution',
+        rank: (value, values) => {
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+            return variance === 0 ? 0.5 : normalCdf((value - mean) / Math.sqrt(variance));
+        },
+        // Running sums of the values' offsets from the first one, which keeps the variance from
+        // cancelling out for series with large levels (e.g. the S&P 500).
+        createWindow: () => {
+            let origin = null;
+            let count = 0;
+            let sum = 0;
+            let sumSquares = 0;
+            return {
+                push: (value) => {
+                    if (origin === null) origin = value;
+                    count++;
+                    sum += value - origin;
+                    sumSquares += (value - origin) ** 2;
+                },
+                shift: (value) => {
+                    count--;
+                    sum -= value - origin;
+                    sumSquares -= (value - origin) ** 2;
+                },
+                rank: (value) => {
+                    const offset = sum / count;
+                    const variance = Math.max(0, sumSquares / count - offset ** 2);
+                    return variance === 0 ? 0.5 : normalCdf((value - origin - offset) / Math.sqrt(variance));
+                },
+            };
+        },
+    },
+    minmax: {
+        label: 'Min-max',
+        description: 'scaling it between the minimum and maximum',
+        rank: (value, values) => {
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            return max === min ? 0.5 : (value - min) / (max - min);
+        },
+        createWindow: () => {
+            const max = createExtremeTracker((kept, value) => kept >= value);
+            const min = createExtremeTracker((kept, value) => kept <= value);
+            let pushed = 0;
+            let shifted = 0;
+            return {
+                push: (value) => {
+                    max.push(pushed, value);
+                    min.push(pushed, value);
+                    pushed++;
+                },
+                shift: () => {
+                    shifted++;
+                    max.expire(shifted);
+                    min.expire(shifted);
+                },
+                rank: (value) => {
+                    const hi = max.front();
+                    const lo = min.front();
+                    return hi === lo ? 0.5 : (value - lo) / (hi - lo);
+                },
+            };
+        },
+    },
+};
+
+export const LOOKBACKS = [
+    { id: '1y', label: '1Y', text: 'year', years: 1 },
+    { id: '3y', label: '3Y', text: 'three years', years: 3 },
+    { id: '5y', label: '5Y', text: 'five years', years: 5 },
+    { id: '10y', label: '10Y', text: 'ten years', years: 10 },
+];
+
+export const DEFAULT_SCORING = { method: 'percentile', lookback: '5y' };
+
+// Years of history to load so the longest lookback has a full window.
+export const MAX_LOOKBACK_YEARS = Math.max(...LOOKBACKS.map(l => l.years));
+
+export const getLookback = (id) => LOOKBACKS.find(l => l.id === id) || LOOKBACKS.find(l => l.id === DEFAULT_SCORING.lookback);
+export const getScoringMethod = (id) => SCORING_METHODS[id] || SCORING_METHODS[DEFAULT_SCORING.method];
+
+// First date (exclusive) of the lookback window ending on `date`.
+export const getWindowStart = (date, lookbackId) => {
+    const d = new Date(date);
+    d.setUTCFullYear(d.getUTCFullYear() - getLookback(lookbackId).years);
+    return d.toISOString().split('T')[0];
+};
+
+const toScore = (rank, isInverted) => (isInverted ? (1 - rank) * 100 : rank * 100);
+
+export const scoreAgainst = (value, values, scoring, isInverted = false) =>
+    toScore(getScoringMethod(scoring.method).rank(value, values), isInverted);
+
+// Scores every observation of an ascending `{ date, value }` series against the observations in
+// its own trailing lookback window, i.e. as it would have been scored on that date. The first
+// observation is skipped because there is nothing to compare it with. Each result keeps the value
+// it scored: `{ date, value, score }`.
+// The window slides forward with the series instead of being rebuilt for every observation.
+export const scoreSeriesHistory = (series, scoring, isInverted = false) => {
+    const lookbackWindow = getScoringMethod(scoring.method).createWindow();
+    const scores = [];
+    let start = 0;
+    let first = 0;
+    series.forEach((point, i) => {
+        const windowStart = getWindowStart(point.date, scoring.lookback);
+        while (series[start].date <= windowStart) start++;
+        lookbackWindow.push(point.value);
+        if (i === 0) return;
+        // Even after a long gap, an observation is compared with at least the one before it.
+        while (first < Math.min(start, i - 1)) lookbackWindow.shift(series[first++].value);
+        scores.push({ date: point.date, value: point.value, score: toScore(lookbackWindow.rank(point.value), isInverted) });
+    });
+    return scores;
+};
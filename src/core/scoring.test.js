@@ -0,0 +1,71 @@
+import { SCORING_METHODS, scoreAgainst, scoreSeriesHistory, getWindowStart, getScoringMethod, getLookback } from './scoring.js';
+
+const series = (values, start = '2020-01-01') => values.map((value, i) => ({
+    date: new Date(Date.parse(start) + i * 86400000).toISOString().slice(0, 10),
+    value,
+}));
+
+describe('scoring methods', () => {
+    test('percentile rank counts ties as half', () => {
+        expect(SCORING_METHODS.percentile.rank(3, [1, 2, 3, 4])).toBe(0.625);
+        expect(SCORING_METHODS.percentile.rank(5, [5, 5])).toBe(0.5);
+    });
+
+    test('z-score maps the mean to 0.5 and a flat window to 0.5', () => {
+        expect(SCORING_METHODS.zscore.rank(2, [1, 2, 3])).toBeCloseTo(0.5, 6);
+        expect(SCORING_METHODS.zscore.rank(3, [3, 3, 3])).toBe(0.5);
+        expect(SCORING_METHODS.zscore.rank(3, [1, 2, 3])).toBeCloseTo(0.8897, 3);
+    });
+
+    test('min-max scales between the extremes', () => {
+        expect(SCORING_METHODS.minmax.rank(2.5, [0, 10, 5])).toBe(0.25);
+        expect(SCORING_METHODS.minmax.rank(4, [4, 4])).toBe(0.5);
+    });
+
+    test('unknown ids fall back to the defaults', () => {
+        expect(getScoringMethod('nope')).toBe(SCORING_METHODS.percentile);
+        expect(getLookback('nope').id).toBe('5y');
+    });
+});
+
+describe('scoreAgainst', () => {
+    test('returns 0-100 and flips inverted components', () => {
+        const scoring = { method: 'minmax', lookback: '1y' };
+        expect(scoreAgainst(10, [0, 10], scoring)).toBe(100);
+        expect(scoreAgainst(10, [0, 10], scoring, true)).toBe(0);
+        expect(scoreAgainst(2.5, [0, 10], scoring, true)).toBe(75);
+    });
+});
+
+describe('scoreSeriesHistory', () => {
+    test('skips the first observation and keeps the scored value', () => {
+        const scores = scoreSeriesHistory(series([1, 2, 3]), { method: 'minmax', lookback: '1y' });
+        expect(scores).toEqual([
+            { date: '2020-01-02', value: 2, score: 100 },
+            { date: '2020-01-03', value: 3, score: 100 },
+        ]);
+    });
+
+    test('only compares against the trailing lookback window', () => {
+        // A spike more than a year before the last point must no longer count.
+        const points = [{ date: '2019-01-01', value: 100 }, { date: '2019-06-01', value: 1 }, { date: '2020-03-01', value: 2 }];
+        const scores = scoreSeriesHistory(points, { method: 'minmax', lookback: '1y' });
+        expect(scores[scores.length - 1].score).toBe(100);
+        expect(getWindowStart('2020-03-01', '1y')).toBe('2019-03-01');
+    });
+
+    test('matches ranking each trailing window from scratch', () => {
+        // Ties, plateaus and new extremes all exercise the sliding window's bookkeeping.
+        const values = Array.from({ length: 900 }, (_, i) => 1000 + Math.round(Math.sin(i / 7) * 5) + (i % 3) + i / 100);
+        const points = series(values, '2018-01-01');
+        Object.keys(SCORING_METHODS).forEach(method => {
+            const scoring = { method, lookback: '1y' };
+            const scores = scoreSeriesHistory(points, scoring);
+            scores.forEach((point, i) => {
+                const windowStart = getWindowStart(point.date, '1y');
+                const trailing = points.slice(0, i + 2).filter(d => d.date > windowStart).map(d => d.value);
+                expect(point.score).toBeCloseTo(scoreAgainst(point.value, trailing, scoring), 6);
+            });
+        });
+    });
+});
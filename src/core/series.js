@@ -0,0 +1,108 @@
+import { isValidDate } from './dates.js';
+
+// --- Series Parsing ---
+// Every provider and upload ends up as an ascending array of `{ date: 'YYYY-MM-DD', value: number }`.
+// Dates are compared as strings everywhere downstream, so anything else is rejected here.
+
+// Cells that mean "no observation": FRED's '.', blanks and common spreadsheet markers.
+const MISSING_VALUES = ['', '.', 'na', 'n/a', '#n/a', 'null', 'nan'];
+
+// Accepts 'YYYY-MM-DD', optionally followed by a time ('2024-01-03 00:00:00', ISO timestamps).
+const parseDate = (raw, source) => {
+    const date = raw.slice(0, 10);
+    const rest = raw.slice(10);
+    if (!isValidDate(date) || (rest && !/^[T ]/.test(rest))) {
+        throw new Error(`${source} has an invalid date "${raw}"; expected YYYY-MM-DD.`);
+    }
+    return date;
+};
+
+// Numbers may carry thousands separators ("242,000"). Anything else that isn't a number or a
+// missing-value marker is an error rather than being read as far as it parses.
+const parseValue = (raw, date, source) => {
+    if (typeof raw === 'number') return raw;
+    const text = raw === null || raw === undefined ? '' : String(raw).trim();
+    if (MISSING_VALUES.includes(text.toLowerCase())) return NaN;
+    const plain = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text;
+    const value = Number(plain);
+    if (!Number.isFinite(value)) throw new Error(`${source} has an invalid value "${text}" on ${date}.`);
+    return value;
+};
+
+// Accepts the shapes we see in practice and returns a clean ascending series:
+// FRED `{ observations: [{ date, value }] }` (with '.' for missing), FMP
+// `{ historical: [{ date, close }] }` (newest first) or a plain `[{ date, value }]` array.
+// `source` names the data in error messages.
+export const normalizeSeries = (data, source = 'Series') => {
+    let rows;
+    if (Array.isArray(data)) rows = data;
+    else if (data && Array.isArray(data.observations)) rows = data.observations;
+    else if (data && Array.isArray(data.historical)) rows = data.historical.map(d => ({ date: d.date, value: d.close }));
+    else throw new Error("Unrecognized series format. Expected FRED observations, FMP historical data or an array of { date, value }.");
+
+    const byDate = new Map();
+    rows.forEach(row => {
+        if (!row || typeof row.date !== 'string' || row.date.trim() === '') return;
+        const date = parseDate(row.date.trim(), source);
+        const value = parseValue(row.value ?? row.close, date, source);
+        if (!isNaN(value)) byDate.set(date, value);
+    });
+    return [...byDate.entries()].map(([date, value]) => ({ date, value })).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const DATE_COLUMNS = ['date', 'observation_date', 'timestamp'];
+
+// Splits one CSV line on commas outside double quotes; `""` inside quotes is a literal quote.
+const splitCsvLine = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+// Parses a CSV or JSON export for one indicator. CSV files need a date column and pick
+// the value from a `value`/`close` column, a column named after the indicator or its series id,
+// or otherwise the first other column.
+export const parseSeriesFile = (text, fileName, indicator) => {
+    if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+        const data = JSON.parse(text);
+        return normalizeSeries(data && !Array.isArray(data) && data[indicator.id] ? data[indicator.id] : data, fileName);
+    }
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) throw new Error(`${fileName} has no data rows.`);
+    const header = splitCsvLine(lines[0]);
+    const lower = header.map(h => h.toLowerCase());
+    const dateIndex = lower.findIndex(h => DATE_COLUMNS.includes(h));
+    if (dateIndex < 0) throw new Error(`${fileName} needs a "date" column.`);
+    const candidates = ['value', 'close', indicator.id.toLowerCase(), indicator.seriesId.toLowerCase()];
+    let valueIndex = lower.findIndex(h => candidates.includes(h));
+    if (valueIndex < 0) valueIndex = header.findIndex((h, i) => i !== dateIndex);
+    if (valueIndex < 0) throw new Error(`${fileName} has no value column.`);
+
+    return normalizeSeries(lines.slice(1).map(line => {
+        const cells = splitCsvLine(line);
+        return { date: cells[dateIndex], value: cells[valueIndex] };
+    }), fileName);
+};
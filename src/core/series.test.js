@@ -0,0 +1,71 @@
+import { normalizeSeries, parseSeriesFile } from './series.js';
+
+const indicator = { id: 'yieldCurve', seriesId: 'T10Y2Y' };
+
+describe('normalizeSeries', () => {
+    test('reads FRED observations and drops missing values', () => {
+        const data = { observations: [{ date: '2024-01-02', value: '0.5' }, { date: '2024-01-01', value: '.' }, { date: '2024-01-03', value: '0.4' }] };
+        expect(normalizeSeries(data)).toEqual([{ date: '2024-01-02', value: 0.5 }, { date: '2024-01-03', value: 0.4 }]);
+    });
+
+    test('reads FMP historical closes newest first and sorts them', () => {
+        const data = { historical: [{ date: '2024-01-03 00:00:00', close: 12 }, { date: '2024-01-02', close: 11 }] };
+        expect(normalizeSeries(data)).toEqual([{ date: '2024-01-02', value: 11 }, { date: '2024-01-03', value: 12 }]);
+    });
+
+    test('keeps the last value for a repeated date', () => {
+        expect(normalizeSeries([{ date: '2024-01-01', value: 1 }, { date: '2024-01-01', value: 2 }])).toEqual([{ date: '2024-01-01', value: 2 }]);
+    });
+
+    test('rejects dates that are not YYYY-MM-DD, naming the source', () => {
+        expect(() => normalizeSeries([{ date: '01/06/2024', value: 1 }], 'claims.json')).toThrow('claims.json has an invalid date "01/06/2024"; expected YYYY-MM-DD.');
+        expect(() => normalizeSeries([{ date: '2024-13-45', value: 1 }])).toThrow('invalid date "2024-13-45"');
+        expect(() => normalizeSeries([{ date: '2024-01-061', value: 1 }])).toThrow('invalid date');
+    });
+
+    test('rejects values that only partly parse as numbers', () => {
+        expect(() => normalizeSeries([{ date: '2024-01-06', value: '12abc' }], 'x.csv')).toThrow('x.csv has an invalid value "12abc" on 2024-01-06.');
+    });
+
+    test('skips missing-value markers', () => {
+        expect(normalizeSeries([{ date: '2024-01-05', value: 'N/A' }, { date: '2024-01-06', value: '' }, { date: '2024-01-07', value: '3' }])).toEqual([{ date: '2024-01-07', value: 3 }]);
+    });
+
+    test('rejects unknown shapes', () => {
+        expect(() => normalizeSeries({ data: [] })).toThrow('Unrecognized series format');
+    });
+});
+
+describe('parseSeriesFile', () => {
+    test('picks the value column from a CSV header', () => {
+        const csv = 'observation_date,Other,T10Y2Y\n2024-01-02,9,"0.31"\r\n2024-01-01,9,0.30\n';
+        expect(parseSeriesFile(csv, 'T10Y2Y.csv', indicator)).toEqual([{ date: '2024-01-01', value: 0.3 }, { date: '2024-01-02', value: 0.31 }]);
+    });
+
+    test('keeps commas inside quoted cells and strips thousands separators', () => {
+        const csv = 'date,value\n2024-01-06,"242,000"\n2024-01-13,"1,234,567.5"\n2024-01-20,"say ""hi"", then 5"\n';
+        expect(() => parseSeriesFile(csv, 'claims.csv', indicator)).toThrow('claims.csv has an invalid value "say "hi", then 5" on 2024-01-20.');
+        expect(parseSeriesFile(csv.split('\n').slice(0, 3).join('\n'), 'claims.csv', indicator)).toEqual([
+            { date: '2024-01-06', value: 242000 },
+            { date: '2024-01-13', value: 1234567.5 },
+        ]);
+    });
+
+    test('rejects dates in other formats, naming the file', () => {
+        expect(() => parseSeriesFile('date,value\n01/06/2024,1', 'claims.csv', indicator)).toThrow('claims.csv has an invalid date "01/06/2024"; expected YYYY-MM-DD.');
+    });
+
+    test('falls back to the first non-date column', () => {
+        expect(parseSeriesFile('Date,Spread\n2024-01-01,1.5', 'spread.csv', indicator)).toEqual([{ date: '2024-01-01', value: 1.5 }]);
+    });
+
+    test('reads JSON keyed by indicator id', () => {
+        const json = JSON.stringify({ yieldCurve: [{ date: '2024-01-01', value: 1 }] });
+        expect(parseSeriesFile(json, 'export.json', indicator)).toEqual([{ date: '2024-01-01', value: 1 }]);
+    });
+
+    test('reports files it cannot use', () => {
+        expect(() => parseSeriesFile('date,value\n', 'empty.csv', indicator)).toThrow('empty.csv has no data rows.');
+        expect(() => parseSeriesFile('day,value\n2024-01-01,1', 'nodate.csv', indicator)).toThrow('needs a "date" column');
+    });
+});
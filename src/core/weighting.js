@@ -0,0 +1,35 @@
+import { INDICATORS } from './indicators.js';
+
+// --- Weighting ---
+
+// Scales weights so they sum to 1. Falls back to equal weights when everything is zero.
+export const normalizeWeights = (weights) => {
+    const total = INDICATORS.reduce((sum, ind) => sum + Math.max(0, weights[ind.id] || 0), 0);
+    return Object.fromEntries(INDICATORS.map(ind => [
+        ind.id,
+        total ? Math.max(0, weights[ind.id] || 0) / total : 1 / INDICATORS.length,
+    ]));
+};
+
+// Keeps only the weights of `ids` and rescales them to sum to 1, e.g. for a composite that is
+// missing components. Falls back to equal weights among `ids` when they are all zero.
+export const renormalizeWeights = (weights, ids) => {
+    const total = ids.reduce((sum, id) => sum + Math.max(0, weights[id] || 0), 0);
+    return Object.fromEntries(INDICATORS.map(ind => [
+        ind.id,
+        !ids.includes(ind.id) ? 0 : total ? Math.max(0, weights[ind.id] || 0) / total : 1 / ids.length,
+    ]));
+};
+
+// Sets one weight and rescales the others proportionally so the total stays at 1.
+export const rebalanceWeights = (weights, id, value) => {
+    const target = Math.min(1, Math.max(0, value));
+    const others = INDICATORS.filter(ind => ind.id !== id);
+    const othersTotal = others.reduce((sum, ind) => sum + (weights[ind.id] || 0), 0);
+    const remaining = 1 - target;
+    const next = { [id]: target };
+    others.forEach(ind => {
+        next[ind.id] = othersTotal ? (weights[ind.id] || 0) / othersTotal * remaining : remaining / others.length;
+    });
+    return next;
+};
@@ -0,0 +1,54 @@
+import { INDICATORS } from './indicators.js';
+import { normalizeWeights, renormalizeWeights, rebalanceWeights } from './weighting.js';
+
+const sum = (weights) => Object.values(weights).reduce((total, w) => total + w, 0);
+
+describe('normalizeWeights', () => {
+    test('scales weights to sum to 1 and ignores negatives', () => {
+        const [a, b] = INDICATORS.map(ind => ind.id);
+        const weights = normalizeWeights({ [a]: 3, [b]: 1, [INDICATORS[2].id]: -5 });
+        expect(weights[a]).toBe(0.75);
+        expect(weights[b]).toBe(0.25);
+        expect(sum(weights)).toBeCloseTo(1, 10);
+    });
+
+    test('falls back to equal weights when everything is zero', () => {
+        const weights = normalizeWeights({});
+        INDICATORS.forEach(ind => expect(weights[ind.id]).toBeCloseTo(1 / INDICATORS.length, 10));
+    });
+});
+
+describe('renormalizeWeights', () => {
+    test('drops the other components and rescales the rest', () => {
+        const [a, b, c] = INDICATORS.map(ind => ind.id);
+        const weights = renormalizeWeights({ [a]: 0.3, [b]: 0.1, [c]: 0.6 }, [a, b]);
+        expect(weights[a]).toBeCloseTo(0.75, 10);
+        expect(weights[b]).toBeCloseTo(0.25, 10);
+        expect(weights[c]).toBe(0);
+        expect(sum(weights)).toBeCloseTo(1, 10);
+    });
+
+    test('splits evenly when the remaining weights are all zero', () => {
+        const [a, b, c] = INDICATORS.map(ind => ind.id);
+        const weights = renormalizeWeights({ [c]: 1 }, [a, b]);
+        expect(weights[a]).toBe(0.5);
+        expect(weights[b]).toBe(0.5);
+    });
+});
+
+describe('rebalanceWeights', () => {
+    test('keeps the others in proportion and the total at 1', () => {
+        const weights = normalizeWeights(Object.fromEntries(INDICATORS.map((ind, i) => [ind.id, i + 1])));
+        const [first, second, third] = INDICATORS.map(ind => ind.id);
+        const next = rebalanceWeights(weights, first, 0.5);
+        expect(next[first]).toBe(0.5);
+        expect(next[third] / next[second]).toBeCloseTo(weights[third] / weights[second], 10);
+        expect(sum(next)).toBeCloseTo(1, 10);
+    });
+
+    test('clamps the new weight to [0, 1]', () => {
+        const next = rebalanceWeights(normalizeWeights({}), INDICATORS[0].id, 2);
+        expect(next[INDICATORS[0].id]).toBe(1);
+        expect(sum(next)).toBeCloseTo(1, 10);
+    });
+});
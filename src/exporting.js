@@ -0,0 +1,102 @@
+import { INDICATORS } from './core/indicators';
+import { getHemiStatus } from './core/hemi';
+
+// --- Export ---
+// Everything is generated in the browser and handed to the user as a download, so exports work
+// on the static deployment without a server.
+
+export const downloadFile = (content, fileName, type) => {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// One row per calendar date of the composite history: the HEMI, then the aligned value and score
+// of every component on that date. Components missing from a partial composite are left blank.
+export const buildHistoryCsv = (indicatorData, hemiHistory) => {
+    const valuesByDate = Object.fromEntries(INDICATORS.map(ind => [ind.id, new Map(indicatorData[ind.id] ? indicatorData[ind.id].scoreHistory.map(d => [d.date, d.value]) : [])]));
+    const header = ['date', 'hemi', ...INDICATORS.flatMap(ind => [`${ind.id}_value`, `${ind.id}_score`])];
+    const rows = hemiHistory.map(point => [
+        point.date,
+        point.hemi.toFixed(2),
+        ...INDICATORS.flatMap(ind => [valuesByDate[ind.id].get(point.date), ind.id in point ? point[ind.id].toFixed(2) : '']),
+    ]);
+    return [header, ...rows].map(row => row.join(',')).join('\n');
+};
+
+// The full processed state: the view it was computed under, latest readings, each component's raw
+// history with its scores, and the composite history.
+export const buildExportJson = ({ view, indicatorData, hemiScore, hemiHistory }) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    view,
+    hemi: { score: hemiScore, status: getHemiStatus(hemiScore).text },
+    components: Object.fromEntries(INDICATORS.filter(ind => indicatorData[ind.id]).map(ind => {
+        const { currentValue, recentChange, score, observationDate, releaseDate, history, scoreHistory } = indicatorData[ind.id];
+        return [ind.id, { label: ind.label, seriesId: ind.seriesId, currentValue, recentChange, score, observationDate, releaseDate, history, scoreHistory }];
+    })),
+    hemiHistory,
+}, null, 2);
+
+// Recharts styles text through CSS classes (e.g. the gauge's Tailwind classes), which a standalone
+// SVG file doesn't have, so the computed presentation styles are copied onto the clone.
+const INLINE_STYLES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'font-family', 'font-size', 'font-weight'];
+const BACKGROUND = '#1F2937';
+
+const serializeSvg = (svg) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const clone = svg.cloneNode(true);
+    const sources = [svg, ...svg.querySelectorAll('*')];
+    const targets = [clone, ...clone.querySelectorAll('*')];
+    sources.forEach((el, i) => {
+        const computed = window.getComputedStyle(el);
+        INLINE_STYLES.forEach(prop => {
+            const value = computed.getPropertyValue(prop);
+            if (value) targets[i].style.setProperty(prop, value);
+        });
+    });
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', BACKGROUND);
+    clone.insertBefore(background, clone.firstChild);
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+};
+
+// Exports the first chart inside `container` as an SVG or PNG file.
+export const exportChart = async (container, fileName, format) => {
+    const svg = container && container.querySelector('svg.recharts-surface');
+    if (!svg) throw new Error('No chart to export.');
+    const { markup, width, height } = serializeSvg(svg);
+    if (format === 'svg') {
+        downloadFile(markup, `${fileName}.svg`, 'image/svg+xml');
+        return;
+    }
+
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Could not render the chart image.'));
+            img.src = url;
+        });
+        const scale = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        downloadFile(png, `${fileName}.png`, 'image/png');
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
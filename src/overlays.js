@@ -0,0 +1,57 @@
+import { addDays, addMonths } from './core/dates';
+
+// --- Chart Overlays ---
+// Derived series for the indicator detail view. Windows are measured in calendar days rather
+// than observations so they mean the same thing for daily and weekly series.
+
+export const MOVING_AVERAGES = [
+    { id: 'ma50', label: '50-day MA', days: 50, color: '#FBBF24' },
+    { id: 'ma200', label: '200-day MA', days: 200, color: '#A78BFA' },
+];
+
+// Trailing mean of every observation in the `days` ending on each date. Dates without a full
+// window of history get no value.
+export const movingAverage = (series, days) => {
+    const result = [];
+    let start = 0;
+    let sum = 0;
+    series.forEach((point, i) => {
+        sum += point.value;
+        const windowStart = addDays(point.date, -days);
+        while (series[start].date <= windowStart) sum -= series[start++].value;
+        if (start > 0) result.push({ date: point.date, value: sum / (i - start + 1) });
+    });
+    return result;
+};
+
+// Year-over-year change of each observation against the latest one at least a year older, as a
+// percentage or, for series that are already rates (`asDifference`), in points. Comparisons more
+// than `toleranceDays` off the one-year mark (gaps in the data) are skipped.
+export const yearOverYear = (series, asDifference = false, toleranceDays = 14) => {
+    const result = [];
+    let cursor = -1;
+    series.forEach(point => {
+        const target = addMonths(point.date, -12);
+        while (cursor + 1 < series.length && series[cursor + 1].date <= target) cursor++;
+        if (cursor < 0) return;
+        const base = series[cursor];
+        if (base.date < addDays(target, -toleranceDays)) return;
+        if (!asDifference && base.value === 0) return;
+        result.push({ date: point.date, value: asDifference ? point.value - base.value : (point.value / Math.abs(base.value) - 1) * 100 });
+    });
+    return result;
+};
+
+export const RANGE_PRESETS = [
+    { id: '1m', label: '1M', months: 1 },
+    { id: '3m', label: '3M', months: 3 },
+    { id: '1y', label: '1Y', months: 12 },
+    { id: '5y', label: '5Y', months: 60 },
+    { id: 'max', label: 'Max', months: null },
+];
+
+// First date shown for a range preset, counted back from `latestDate`; null shows everything.
+export const getRangeStart = (presetId, latestDate) => {
+    const preset = RANGE_PRESETS.find(p => p.id === presetId);
+    return preset && preset.months ? addMonths(latestDate, -preset.months) : null;
+};
@@ -0,0 +1,61 @@
+import { INDICATORS } from './core/indicators';
+import { normalizeWeights } from './core/weighting';
+import { SCORING_METHODS, LOOKBACKS, DEFAULT_SCORING } from './core/scoring';
+import { FREQUENCIES, DEFAULT_FREQUENCY } from './core/resampling';
+import { isValidDate, toDateString } from './core/dates';
+
+// --- Permalinks ---
+// The view lives in the query string (?mode=live&asOf=2024-06-28&w=40,20,20,10,10) rather than in
+// the path: the GitHub Pages deployment only serves index.html at the app root, and a query string
+// on that URL still loads it. Settings left at their defaults are omitted. Uploaded files can't be
+// shared this way and stay local.
+
+const formatWeight = (weight) => String(parseFloat((weight * 100).toFixed(1)));
+
+// Returns only the settings present and valid in `search`; anything else keeps its default. An
+// as-of date of `today` or later is the latest view, as in the date picker; one before the data
+// starts can only be clamped once it has loaded (see App).
+export const readViewFromUrl = (search = window.location.search, today = toDateString(new Date())) => {
+    const params = new URLSearchParams(search);
+    const view = {};
+    if (params.has('mode')) view.useLiveData = params.get('mode') === 'live';
+    const asOf = params.get('asOf');
+    if (isValidDate(asOf) && asOf < today) view.asOfDate = asOf;
+    if (params.get('vintage') === '1') view.useVintageData = true;
+
+    const method = params.get('method');
+    const lookback = params.get('lookback');
+    if (SCORING_METHODS[method] || LOOKBACKS.some(l => l.id === lookback)) {
+        view.scoring = {
+            method: SCORING_METHODS[method] ? method : DEFAULT_SCORING.method,
+            lookback: LOOKBACKS.some(l => l.id === lookback) ? lookback : DEFAULT_SCORING.lookback,
+        };
+    }
+    if (FREQUENCIES[params.get('freq')]) view.frequency = params.get('freq');
+
+    const weights = (params.get('w') || '').split(',').map(parseFloat);
+    if (weights.length === INDICATORS.length && weights.every(w => Number.isFinite(w) && w >= 0)) {
+        view.weights = normalizeWeights(Object.fromEntries(INDICATORS.map((ind, i) => [ind.id, weights[i]])));
+    }
+    return view;
+};
+
+export const buildViewSearch = ({ useLiveData, asOfDate, useVintageData, scoring, frequency, weights }, defaultWeights) => {
+    const params = new URLSearchParams();
+    if (useLiveData) params.set('mode', 'live');
+    if (asOfDate) params.set('asOf', asOfDate);
+    if (asOfDate && useVintageData) params.set('vintage', '1');
+    if (scoring.method !== DEFAULT_SCORING.method) params.set('method', scoring.method);
+    if (scoring.lookback !== DEFAULT_SCORING.lookback) params.set('lookback', scoring.lookback);
+    if (frequency !== DEFAULT_FREQUENCY) params.set('freq', frequency);
+    const encoded = INDICATORS.map(ind => formatWeight(weights[ind.id]));
+    if (encoded.some((w, i) => w !== formatWeight(defaultWeights[INDICATORS[i].id]))) params.set('w', encoded.join(','));
+    // Commas are legal in a query string; keeping them readable makes the weights easy to edit.
+    const search = params.toString().replace(/%2C/g, ',');
+    // An all-default view is the bare URL, so opening the app doesn't rewrite its address.
+    return search ? `?${search}` : '';
+};
+
+// Absolute link to the current page with `view` encoded; any hash (e.g. a client-side route) is kept.
+export const getPermalink = (view, defaultWeights) =>
+    `${window.location.origin}${window.location.pathname}${buildViewSearch(view, defaultWeights)}${window.location.hash}`;
@@ -0,0 +1,109 @@
+import { toDateString, addDays } from './core/dates';
+import { normalizeSeries } from './core/series';
+
+// --- Data Providers ---
+// Each provider turns an indicator from the registry into a common series shape:
+// an ascending array of `{ date: 'YYYY-MM-DD', value: number }`. Indicators declare their
+// provider in `indicators.js`; uploaded files override it for a single indicator.
+// Providers marked `cacheable` are persisted and refreshed incrementally by seriesCache.js.
+
+// API Keys accessed from environment variables
+const FRED_API_KEY = process.env.REACT_APP_FRED_API_KEY;
+const FMP_API_KEY = process.env.REACT_APP_FMP_API_KEY;
+
+// Endpoints can be pointed at a local stand-in server. Set REACT_APP_CORS_PROXY to an empty
+// string to call the base URLs directly.
+const CORS_PROXY = process.env.REACT_APP_CORS_PROXY ?? 'https://api.allorigins.win/raw?url=';
+const FRED_BASE_URL = process.env.REACT_APP_FRED_BASE_URL || 'https://api.stlouisfed.org/fred';
+const FMP_BASE_URL = process.env.REACT_APP_FMP_BASE_URL || 'https://financialmodelingprep.com/api/v3';
+const FIXTURE_BASE_URL = `${process.env.PUBLIC_URL || ''}/fixtures`;
+
+// Forces every indicator onto one provider in Live mode (e.g. 'fixture').
+export const PROVIDER_OVERRIDE = process.env.REACT_APP_DATA_PROVIDER || null;
+
+const withProxy = (url) => (CORS_PROXY ? `${CORS_PROXY}${encodeURIComponent(url)}` : url);
+
+const fetchJson = async (url) => {
+    const res = await fetch(url);
+    if (!res.ok) {
+        if (res.status === 401 || res.status === 403) {
+            throw new Error(`API Key Invalid or Unauthorized (Status: ${res.status}). Please verify your API keys.`);
+        }
+        const errorText = await res.text();
+        throw new Error(`API request failed with status ${res.status}: ${errorText}`);
+    }
+    return res.json();
+};
+
+// --- Sample data ---
+// Sample observations follow each indicator's cadence and end at its most recent publication.
+const SAMPLE_DAYS = 90;
+const sampleCache = {};
+const createSampleSeries = ({ id, sample, cadence, publicationLagDays = 0 }) => {
+    if (!sampleCache[id]) {
+        const end = addDays(toDateString(new Date()), -publicationLagDays);
+        const step = cadence === 'weekly' ? 7 : 1;
+        const points = [];
+        for (let offset = 0; offset < SAMPLE_DAYS; offset += step) {
+            points.unshift({ date: addDays(end, -offset), value: sample.generate(SAMPLE_DAYS - 1 - offset) });
+        }
+        points.splice(-2, 2, ...sample.latest.map((value, i) => ({ date: points[points.length - 2 + i].date, value })));
+        sampleCache[id] = points.map(({ date, value }) => ({ date, value: parseFloat(value.toFixed(sample.decimals)) }));
+    }
+    return sampleCache[id];
+};
+
+export const PROVIDERS = {
+    sample: {
+        name: 'Sample data',
+        fetchSeries: async (indicator) => createSampleSeries(indicator),
+    },
+    fred: {
+        name: 'St. Louis Federal Reserve (FRED)',
+        url: 'https://fred.stlouisfed.org/',
+        cacheable: true,
+        // ALFRED: with realtime_start/realtime_end pinned to one day, FRED returns each observation
+        // as it was published on that day, before any later revisions.
+        supportsVintage: true,
+        fetchSeries: async (indicator, { startDate, endDate, vintageDate }) => {
+            const vintage = vintageDate ? `&realtime_start=${vintageDate}&realtime_end=${vintageDate}` : '';
+            const url = `${FRED_BASE_URL}/series/observations?api_key=${FRED_API_KEY}&file_type=json&series_id=${encodeURIComponent(indicator.seriesId)}&observation_start=${toDateString(startDate)}&observation_end=${toDateString(endDate)}${vintage}`;
+            const data = await fetchJson(withProxy(url));
+            if (!data || !Array.isArray(data.observations)) throw new Error(`Invalid FRED data structure received for ${indicator.seriesId}.`);
+            return normalizeSeries(data, `FRED series ${indicator.seriesId}`);
+        },
+    },
+    fmp: {
+        name: 'Financial Modeling Prep (FMP)',
+        url: 'https://site.financialmodelingprep.com/',
+        cacheable: true,
+        fetchSeries: async (indicator, { startDate, endDate }) => {
+            const url = `${FMP_BASE_URL}/historical-price-full/${encodeURIComponent(indicator.seriesId)}?from=${toDateString(startDate)}&to=${toDateString(endDate)}&apikey=${FMP_API_KEY}`;
+            const data = await fetchJson(withProxy(url));
+            if (!data || !Array.isArray(data.historical)) throw new Error(`Invalid FMP data structure received for ${indicator.seriesId}.`);
+            return normalizeSeries(data, `FMP symbol ${indicator.seriesId}`);
+        },
+    },
+    fixture: {
+        name: 'Local fixture files',
+        fetchSeries: async (indicator) => {
+            const file = indicator.fixture || `${indicator.id}.json`;
+            return normalizeSeries(await fetchJson(`${FIXTURE_BASE_URL}/${file}`), `Fixture ${file}`);
+        },
+    },
+    file: {
+        name: 'Uploaded file',
+        fetchSeries: async (indicator, { uploads }) => {
+            const upload = uploads && uploads[indicator.id];
+            if (!upload) throw new Error(`No file uploaded for ${indicator.label}.`);
+            return upload.series;
+        },
+    },
+};
+
+// Resolves which provider serves an indicator for the current mode.
+export const getProviderId = (indicator, { useLiveData, uploads }) => {
+    if (uploads && uploads[indicator.id]) return 'file';
+    if (!useLiveData) return 'sample';
+    return PROVIDER_OVERRIDE || indicator.provider;
+};
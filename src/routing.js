@@ -0,0 +1,24 @@
+import React from 'react';
+
+// --- Routing ---
+// Views are addressed by the URL hash (#/indicator/vix). GitHub Pages has no fallback for unknown
+// paths, so a path-based route would 404 on reload; with a hash every route loads the same
+// index.html. The query string is left to permalink.js.
+
+const parseRoute = (hash) => {
+    const match = /^#\/indicator\/([\w-]+)$/.exec(hash);
+    return match ? { name: 'indicator', id: match[1] } : { name: 'dashboard' };
+};
+
+export const getIndicatorHref = (id) => `#/indicator/${id}`;
+export const DASHBOARD_HREF = '#/';
+
+export const useHashRoute = () => {
+    const [route, setRoute] = React.useState(() => parseRoute(window.location.hash));
+    React.useEffect(() => {
+        const handleChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('hashchange', handleChange);
+        return () => window.removeEventListener('hashchange', handleChange);
+    }, []);
+    return route;
+};
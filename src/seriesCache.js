@@ -0,0 +1,87 @@
+import { PROVIDERS, getProviderId } from './providers';
+import { toDateString } from './core/dates';
+
+// --- Series Cache ---
+// Network series are kept in IndexedDB so a reload can render immediately from the last
+// download and then only ask the provider for observations since the last cached date.
+const DB_NAME = 'hemi-dashboard';
+const STORE_NAME = 'series';
+
+let dbPromise = null;
+
+// Resolves to null when IndexedDB is unavailable (private mode, tests); callers then just skip the cache.
+const openDb = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error("Could not open series cache:", request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+};
+
+const runRequest = async (mode, createRequest) => {
+    const db = await openDb();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE_NAME, mode);
+        const request = createRequest(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+// Vintage downloads are cached under their own key; they never change once published.
+const getVintage = (providerId, options) => (PROVIDERS[providerId]?.supportsVintage && options.vintageDate) || null;
+const getCacheKey = (indicator, providerId, vintage) => `${providerId}:${indicator.seriesId}${vintage ? `@${vintage}` : ''}`;
+
+const isCacheable = (indicator, options) => Boolean(PROVIDERS[getProviderId(indicator, options)]?.cacheable);
+
+// Returns `{ [indicatorId]: { series, fetchedAt } }` for every indicator with a cached copy.
+export const readCachedSeries = async (indicators, options) => {
+    const entries = await Promise.all(indicators.map(async ind => {
+        if (!isCacheable(ind, options)) return null;
+        try {
+            const providerId = getProviderId(ind, options);
+            return await runRequest('readonly', store => store.get(getCacheKey(ind, providerId, getVintage(providerId, options))));
+        } catch (err) {
+            console.error("Could not read series cache:", err);
+            return null;
+        }
+    }));
+    return Object.fromEntries(indicators.map((ind, i) => [ind.id, entries[i]]).filter(([, entry]) => entry));
+};
+
+// Fetches an indicator through its provider. Cacheable providers are asked only for observations
+// from the last cached date onwards (that date is re-fetched to pick up revisions); the result is
+// merged with the cached history, trimmed to the requested window and written back. A cache that
+// starts later than the requested window (e.g. after the window grew) is refetched in full.
+export const loadIndicatorSeries = async (indicator, options, cached) => {
+    const providerId = getProviderId(indicator, options);
+    const provider = PROVIDERS[providerId];
+    if (!provider) throw new Error(`Unknown data provider for ${indicator.label}.`);
+    if (!provider.cacheable) return { series: await provider.fetchSeries(indicator, options), fetchedAt: null };
+    const vintage = getVintage(providerId, options);
+    if (vintage && cached) return cached;
+
+    const windowStart = toDateString(options.startDate);
+    const coversWindow = cached && cached.windowStart && cached.windowStart <= windowStart;
+    const lastDate = coversWindow && cached.series.length ? cached.series[cached.series.length - 1].date : null;
+    const fetchFrom = lastDate && lastDate > windowStart ? lastDate : windowStart;
+    const fresh = await provider.fetchSeries(indicator, { ...options, startDate: new Date(fetchFrom) });
+    const kept = lastDate ? cached.series.filter(d => d.date >= windowStart && d.date < fetchFrom) : [];
+    const entry = { key: getCacheKey(indicator, providerId, vintage), series: [...kept, ...fresh], windowStart, fetchedAt: new Date().toISOString() };
+
+    try {
+        await runRequest('readwrite', store => store.put(entry));
+    } catch (err) {
+        console.error("Could not write series cache:", err);
+    }
+    return entry;
+};
@@ -0,0 +1,29 @@
+import { normalizeWeights } from './core/weighting';
+
+// --- Weight Scenarios ---
+const STORAGE_KEY = 'hemi.weightScenarios';
+
+export const loadScenarios = () => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(s => s && s.name && s.weights) : [];
+    } catch (err) {
+        console.error("Could not read weight scenarios:", err);
+        return [];
+    }
+};
+
+const storeScenarios = (scenarios) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (err) {
+        console.error("Could not save weight scenarios:", err);
+    }
+    return scenarios;
+};
+
+// Saves (or overwrites) a named scenario and returns the updated list.
+export const saveScenario = (name, weights) =>
+    storeScenarios([...loadScenarios().filter(s => s.name !== name), { name, weights: normalizeWeights(weights) }]);
+
+export const deleteScenario = (name) => storeScenarios(loadScenarios().filter(s => s.name !== name));